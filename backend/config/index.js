@@ -0,0 +1,144 @@
+// The app's configuration: every setting read from the environment once, typed
+// and validated at boot. A bad or missing setting stops the process with a list
+// of everything that needs fixing. See config/settings.js for the settings and
+// config/profiles.js for the per-environment defaults.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const types = require('./types');
+const settings = require('./settings');
+const profiles = require('./profiles');
+
+const ROOT = path.join(__dirname, '..');
+const REDACTED = '[redacted]';
+
+const configError = (problems) => {
+  const error = new Error(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+};
+
+const getPath = (target, dotted) => dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), target);
+
+const setPath = (target, dotted, value) => {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key]) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+const parseSetting = (setting, raw) => {
+  const value = types[setting.type](raw, setting);
+  const problem = setting.check ? setting.check(value) : null;
+  if (problem) throw new Error(problem);
+  return value;
+};
+
+// Build the config object from environment variables (process.env by default)
+const loadConfig = (env = process.env) => {
+  const raw = (name) => (typeof env[name] === 'string' && env[name].trim() !== '' ? env[name].trim() : undefined);
+  const problems = [];
+
+  // The profile decides the defaults, so it is worked out first; a bad NODE_ENV
+  // is reported with the other problems
+  const nodeEnv = (raw('NODE_ENV') || 'development').toLowerCase();
+  const profileName = profiles[nodeEnv] ? nodeEnv : 'development';
+  const profile = profiles[profileName];
+
+  const values = {};
+  const invalid = new Set();
+
+  settings.forEach((setting) => {
+    const value = raw(setting.env);
+    const profileDefault = profile.defaults[setting.env];
+    try {
+      if (value !== undefined) {
+        values[setting.env] = parseSetting(setting, value);
+      } else if (profileDefault !== undefined) {
+        values[setting.env] = parseSetting(setting, profileDefault);
+      } else if (!profile.required.includes(setting.env)) {
+        values[setting.env] = setting.default;
+      }
+    } catch (error) {
+      invalid.add(setting.env);
+      problems.push(`${setting.env} ${error.message}${setting.secret || value === undefined ? '' : ` (got "${value}")`}`);
+    }
+  });
+
+  const get = (name) => values[name];
+  settings.forEach((setting) => {
+    if (values[setting.env] !== undefined || invalid.has(setting.env)) return;
+    if (profile.required.includes(setting.env)) {
+      problems.push(`${setting.env} is required in ${profileName}`);
+    } else if (setting.required || (setting.requiredIf && setting.requiredIf(get, profileName))) {
+      problems.push(`${setting.env} is required`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw configError(problems);
+  }
+
+  const config = {};
+  settings.forEach((setting) => {
+    setPath(config, setting.path, values[setting.env] === undefined ? null : values[setting.env]);
+  });
+  return deepFreeze(config);
+};
+
+// .env files for the profile, most specific first (dotenv never overwrites a
+// variable, so real environment variables win over all of them)
+const loadEnvFiles = () => {
+  const envFile = path.join(ROOT, '.env');
+  const profileName = process.env.NODE_ENV ||
+    (fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)).NODE_ENV : undefined) ||
+    'development';
+
+  [`.env.${profileName}.local`, '.env.local', `.env.${profileName}`, '.env'].forEach((file) => {
+    dotenv.config({ path: path.join(ROOT, file) });
+  });
+};
+
+// Hide credentials in a URI (user:password@host)
+const redactUri = (uri) => uri.replace(/\/\/([^:@/]+):[^@/]+@/, `//$1:${REDACTED}@`);
+
+// Copy of the config that is safe to log or show: secrets are replaced with
+// "[redacted]" (unset secrets stay null, so it still shows what is configured)
+const redactConfig = (target = config) => {
+  const copy = JSON.parse(JSON.stringify(target));
+  settings.forEach((setting) => {
+    const value = getPath(target, setting.path);
+    if (!setting.secret || value == null) return;
+    setPath(copy, setting.path, setting.secret === 'credentials' ? redactUri(value) : REDACTED);
+  });
+  return copy;
+};
+
+loadEnvFiles();
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  redactConfig
+};
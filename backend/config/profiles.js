@@ -0,0 +1,33 @@
+// Per-environment profiles, picked by NODE_ENV. defaults replace the setting
+// defaults for that environment (environment variables still win); required
+// lists settings that must be set explicitly, with no default to fall back on.
+// Each profile can also keep its values in .env.<profile> (and untracked
+// .env.<profile>.local / .env.local overrides), loaded before .env.
+const profiles = {
+  development: {
+    defaults: {
+      RATE_LIMIT_STORE: 'memory',
+      LOG_CONFIG: 'true'
+    },
+    required: []
+  },
+
+  test: {
+    defaults: {
+      MONGODB_URI: 'mongodb://localhost:27017/enrollment-test',
+      EMAIL_SERVICE: 'test',
+      RATE_LIMIT_STORE: 'memory',
+      CAPTCHA_PROVIDER: 'stub',
+      FORM_MIN_FILL_SECONDS: '0'
+    },
+    required: []
+  },
+
+  production: {
+    defaults: {},
+    // localhost defaults would point links and CORS at the wrong place
+    required: ['MONGODB_URI', 'CORS_ORIGINS', 'PUBLIC_API_URL']
+  }
+};
+
+module.exports = profiles;
@@ -0,0 +1,134 @@
+// Every setting the app reads from the environment: its variable, where it goes in
+// the config object, its type and default. secret: true keeps the value out of logs
+// and /health ('credentials' hides just the password in a URI). requiredIf(get,
+// profile) makes a setting required depending on others.
+const SMTP_CREDENTIALS = {
+  gmail: ['EMAIL_USER', 'EMAIL_PASS'],
+  outlook: ['EMAIL_USER', 'EMAIL_PASS'],
+  sendgrid: ['SENDGRID_API_KEY'],
+  mailgun: ['MAILGUN_SMTP_LOGIN', 'MAILGUN_SMTP_PASSWORD'],
+  smtp: ['SMTP_HOST']
+};
+const SITEVERIFY_CAPTCHAS = ['turnstile', 'hcaptcha', 'recaptcha'];
+
+// Credentials the chosen email service needs; only enforced in production, where a
+// missing one means applicants silently get no email
+const emailCredential = (env) => (get, profile) => profile === 'production' &&
+  (SMTP_CREDENTIALS[get('EMAIL_SERVICE')] || []).includes(env);
+
+// "2:<base64 key>,1:<base64 key>" (see utils/fieldEncryption.js)
+const checkEncryptionKeys = (value) => {
+  const valid = value.split(',').map((entry) => entry.trim()).filter(Boolean).every((entry) => {
+    const [id, encoded] = entry.split(':');
+    return /^\w+$/.test(id || '') && Buffer.from(encoded || '', 'base64').length === 32;
+  });
+  return valid ? null : 'entries must be "<id>:<32-byte key in base64>"';
+};
+
+const settings = [
+  // Server
+  { env: 'NODE_ENV', path: 'env', type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+  { env: 'PORT', path: 'server.port', type: 'port', default: 5000 },
+  { env: 'TRUST_PROXY', path: 'server.trustProxy', type: 'trustProxy', default: false },
+  { env: 'CORS_ORIGINS', path: 'server.corsOrigins', type: 'list', item: { type: 'url' }, default: ['http://localhost:3000', 'http://localhost:3001'] },
+  // Public base URL of the API, used in links sent by email
+  { env: 'PUBLIC_API_URL', path: 'server.publicUrl', type: 'url' },
+
+  // Database (the URI may carry credentials)
+  { env: 'MONGODB_URI', path: 'database.uri', type: 'url', protocols: ['mongodb:', 'mongodb+srv:'], secret: 'credentials', default: 'mongodb://localhost:27017/enrollment' },
+
+  // Authentication
+  { env: 'JWT_SECRET', path: 'auth.jwtSecret', type: 'string', secret: true, required: true },
+  { env: 'JWT_ACCESS_TTL', path: 'auth.accessTokenTtl', type: 'duration', default: '15m' },
+  { env: 'JWT_REFRESH_TTL_DAYS', path: 'auth.refreshTokenTtlDays', type: 'integer', min: 1, default: 7 },
+  { env: 'APPLICANT_TOKEN_TTL', path: 'auth.applicantTokenTtl', type: 'duration', default: '30m' },
+
+  // Field encryption
+  { env: 'FIELD_ENCRYPTION_KEYS', path: 'encryption.fieldKeys', type: 'string', secret: true, required: true, check: checkEncryptionKeys },
+  { env: 'BLIND_INDEX_KEY', path: 'encryption.blindIndexKey', type: 'string', secret: true, required: true },
+
+  // Audit log: entries are chained with an HMAC under this key, and the newest
+  // entry is also recorded in a checkpoint, in its own collection ("database") or
+  // in the document storage ("storage", e.g. S3, outside the database)
+  { env: 'AUDIT_LOG_KEY', path: 'audit.key', type: 'string', secret: true, required: true },
+  { env: 'AUDIT_CHECKPOINT_STORE', path: 'audit.checkpointStore', type: 'enum', values: ['database', 'storage'], default: 'database' },
+
+  // Email
+  { env: 'EMAIL_SERVICE', path: 'email.service', type: 'enum', values: [...Object.keys(SMTP_CREDENTIALS), 'json', 'test'], default: 'gmail' },
+  { env: 'EMAIL_FROM', path: 'email.from', type: 'email' },
+  { env: 'EMAIL_USER', path: 'email.user', type: 'string', requiredIf: emailCredential('EMAIL_USER') },
+  { env: 'EMAIL_PASS', path: 'email.pass', type: 'string', secret: true, requiredIf: emailCredential('EMAIL_PASS') },
+  { env: 'SENDGRID_API_KEY', path: 'email.sendgridApiKey', type: 'string', secret: true, requiredIf: emailCredential('SENDGRID_API_KEY') },
+  { env: 'MAILGUN_SMTP_LOGIN', path: 'email.mailgun.login', type: 'string', requiredIf: emailCredential('MAILGUN_SMTP_LOGIN') },
+  { env: 'MAILGUN_SMTP_PASSWORD', path: 'email.mailgun.password', type: 'string', secret: true, requiredIf: emailCredential('MAILGUN_SMTP_PASSWORD') },
+  { env: 'SMTP_HOST', path: 'email.smtp.host', type: 'string', requiredIf: emailCredential('SMTP_HOST') },
+  { env: 'SMTP_PORT', path: 'email.smtp.port', type: 'port', default: 587 },
+  { env: 'SMTP_SECURE', path: 'email.smtp.secure', type: 'boolean', default: false },
+  { env: 'SMTP_USER', path: 'email.smtp.user', type: 'string' },
+  { env: 'SMTP_PASS', path: 'email.smtp.pass', type: 'string', secret: true },
+  // Where EMAIL_SERVICE=json writes messages (default: backend/tmp/mail)
+  { env: 'EMAIL_OUTPUT_DIR', path: 'email.outputDir', type: 'string' },
+  { env: 'EMAIL_QUEUE_POLL_MS', path: 'email.queuePollMs', type: 'integer', min: 100, default: 10 * 1000 },
+  { env: 'EMAIL_MAX_ATTEMPTS', path: 'email.maxAttempts', type: 'integer', min: 1, default: 5 },
+  // Receives a notification (with review links) for every new application
+  { env: 'ADMIN_EMAIL', path: 'email.adminEmail', type: 'email' },
+  { env: 'ADMIN_LOCALE', path: 'email.adminLocale', type: 'string' },
+
+  // Organisation details shown in emails
+  { env: 'BRAND_NAME', path: 'brand.name', type: 'string', default: 'EduPlatform' },
+  { env: 'BRAND_TAGLINE', path: 'brand.tagline', type: 'string', default: 'Empowering Your Future' },
+  { env: 'SUPPORT_EMAIL', path: 'brand.supportEmail', type: 'email' },
+  { env: 'SUPPORT_PHONE', path: 'brand.supportPhone', type: 'string', default: '+254 748 090 462' },
+
+  // Document storage
+  { env: 'STORAGE_DRIVER', path: 'storage.driver', type: 'enum', values: ['local', 's3'], default: 'local' },
+  // Where the local driver keeps files (default: backend/uploads)
+  { env: 'UPLOAD_DIR', path: 'storage.uploadDir', type: 'string' },
+  { env: 'S3_BUCKET', path: 'storage.s3.bucket', type: 'string', requiredIf: (get) => get('STORAGE_DRIVER') === 's3' },
+  { env: 'S3_REGION', path: 'storage.s3.region', type: 'string', default: 'us-east-1' },
+  { env: 'S3_ENDPOINT', path: 'storage.s3.endpoint', type: 'url' },
+  { env: 'S3_FORCE_PATH_STYLE', path: 'storage.s3.forcePathStyle', type: 'boolean', default: false },
+  { env: 'S3_ACCESS_KEY_ID', path: 'storage.s3.accessKeyId', type: 'string' },
+  { env: 'S3_SECRET_ACCESS_KEY', path: 'storage.s3.secretAccessKey', type: 'string', secret: true, requiredIf: (get) => Boolean(get('S3_ACCESS_KEY_ID')) },
+
+  // Applications
+  { env: 'MAX_DOCUMENT_SIZE_MB', path: 'documents.maxSizeMb', type: 'integer', min: 1, default: 5 },
+  { env: 'REQUIRED_DOCUMENT_TYPES', path: 'documents.requiredTypes', type: 'list', default: [] },
+  { env: 'REVIEW_LINK_TTL_HOURS', path: 'reviewLinks.ttlHours', type: 'integer', min: 1, default: 72 },
+  { env: 'DUPLICATE_SCORE_THRESHOLD', path: 'duplicates.scoreThreshold', type: 'integer', min: 0, max: 100, default: 60 },
+  { env: 'IDEMPOTENCY_KEY_TTL_HOURS', path: 'idempotency.keyTtlHours', type: 'integer', min: 1, default: 24 },
+
+  // Data retention (rules are checked by services/retention.js)
+  { env: 'RETENTION_ENABLED', path: 'retention.enabled', type: 'boolean', default: false },
+  { env: 'RETENTION_INTERVAL_HOURS', path: 'retention.intervalHours', type: 'integer', min: 1, default: 24 },
+  { env: 'RETENTION_RULES', path: 'retention.rules', type: 'json' },
+
+  // Rate limiting (policies are checked by services/rateLimit)
+  { env: 'RATE_LIMIT_STORE', path: 'rateLimit.store', type: 'enum', values: ['mongo', 'memory'], default: 'mongo' },
+  { env: 'RATE_LIMIT_POLICIES', path: 'rateLimit.policies', type: 'json', default: {} },
+  { env: 'RATE_LIMIT_ALLOWLIST', path: 'rateLimit.allowlist', type: 'list', default: [] },
+
+  // Bot and spam protection for the public form
+  { env: 'FORM_TOKEN_TTL', path: 'antiAbuse.formTokenTtl', type: 'duration', default: '2h' },
+  { env: 'FORM_TOKEN_REQUIRED', path: 'antiAbuse.formTokenRequired', type: 'boolean', default: false },
+  { env: 'FORM_MIN_FILL_SECONDS', path: 'antiAbuse.minFillSeconds', type: 'integer', min: 0, default: 5 },
+  { env: 'DISPOSABLE_EMAIL_DOMAINS', path: 'antiAbuse.disposableDomains', type: 'list', default: [] },
+  { env: 'DISPOSABLE_EMAIL_DOMAINS_FILE', path: 'antiAbuse.disposableDomainsFile', type: 'string' },
+  { env: 'CAPTCHA_PROVIDER', path: 'antiAbuse.captcha.provider', type: 'enum', values: ['none', 'stub', ...SITEVERIFY_CAPTCHAS], default: 'none' },
+  { env: 'CAPTCHA_SITE_KEY', path: 'antiAbuse.captcha.siteKey', type: 'string' },
+  { env: 'CAPTCHA_SECRET_KEY', path: 'antiAbuse.captcha.secretKey', type: 'string', secret: true, requiredIf: (get) => SITEVERIFY_CAPTCHAS.includes(get('CAPTCHA_PROVIDER')) },
+  { env: 'CAPTCHA_MIN_SCORE', path: 'antiAbuse.captcha.minScore', type: 'number', min: 0, max: 1, default: 0.5 },
+  { env: 'CAPTCHA_STUB_TOKEN', path: 'antiAbuse.captcha.stubToken', type: 'string', default: 'test-pass' },
+  { env: 'CAPTCHA_STUB_SCORE', path: 'antiAbuse.captcha.stubScore', type: 'number', min: 0, max: 1 },
+
+  // API behaviour
+  // Sunset date announced on the deprecated unversioned routes
+  { env: 'LEGACY_API_SUNSET', path: 'api.legacySunset', type: 'date' },
+  { env: 'OPENAPI_VALIDATE_RESPONSES', path: 'api.validateResponses', type: 'boolean', default: false },
+
+  // Diagnostics: print the (redacted) configuration at boot / serve it to admins at /health/config
+  { env: 'LOG_CONFIG', path: 'diagnostics.logConfig', type: 'boolean', default: false },
+  { env: 'HEALTH_SHOW_CONFIG', path: 'diagnostics.healthShowsConfig', type: 'boolean', default: false }
+];
+
+module.exports = settings;
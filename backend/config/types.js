@@ -0,0 +1,101 @@
+// Parsers for the setting types in config/settings.js. Each turns the raw
+// environment string into a typed value, or throws with what was expected.
+const fail = (expected) => {
+  throw new Error(`must be ${expected}`);
+};
+
+const parseInteger = (raw, { min, max } = {}) => {
+  if (!/^-?\d+$/.test(raw)) fail('a whole number');
+  const value = Number(raw);
+  if (min !== undefined && value < min) fail(`at least ${min}`);
+  if (max !== undefined && value > max) fail(`at most ${max}`);
+  return value;
+};
+
+const types = {
+  string: (raw) => raw,
+
+  integer: parseInteger,
+
+  number: (raw, { min, max } = {}) => {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) fail('a number');
+    if (min !== undefined && value < min) fail(`at least ${min}`);
+    if (max !== undefined && value > max) fail(`at most ${max}`);
+    return value;
+  },
+
+  boolean: (raw) => {
+    const value = raw.toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    return fail('true or false');
+  },
+
+  port: (raw) => parseInteger(raw, { min: 1, max: 65535 }),
+
+  enum: (raw, { values }) => {
+    const value = raw.toLowerCase();
+    if (!values.includes(value)) fail(`one of ${values.join(', ')}`);
+    return value;
+  },
+
+  url: (raw, { protocols = ['http:', 'https:'] } = {}) => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      return fail('a URL');
+    }
+    if (!protocols.includes(url.protocol)) fail(`a ${protocols.map((p) => p.replace(':', '')).join(' or ')} URL`);
+    return raw;
+  },
+
+  email: (raw) => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) fail('an email address');
+    return raw;
+  },
+
+  // Comma-separated; items are checked with the item type when one is given
+  list: (raw, { item } = {}) => raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      if (!item) return entry;
+      try {
+        return types[item.type](entry, item);
+      } catch (error) {
+        throw new Error(`entry "${entry}" ${error.message}`);
+      }
+    }),
+
+  json: (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return fail(`valid JSON (${error.message})`);
+    }
+  },
+
+  // Lifetime for jsonwebtoken, e.g. 15m, 2h, 7d (a bare number is seconds)
+  duration: (raw) => {
+    if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/.test(raw)) fail('a duration such as 30s, 15m, 2h or 7d');
+    return /^\d+$/.test(raw) ? Number(raw) : raw;
+  },
+
+  date: (raw) => {
+    const value = new Date(raw);
+    if (Number.isNaN(value.getTime())) fail('a date (e.g. 2027-04-18)');
+    return value;
+  },
+
+  // Express "trust proxy": a hop count, true/false, or a list of proxy addresses
+  trustProxy: (raw) => {
+    if (/^\d+$/.test(raw)) return Number(raw);
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    return raw;
+  }
+};
+
+module.exports = types;
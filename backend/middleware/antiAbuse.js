@@ -0,0 +1,150 @@
+const { config } = require('../config');
+const { getCaptcha } = require('../services/captcha');
+const { isDisposableEmail } = require('../services/disposableEmail');
+const { claimFormToken, releaseFormToken } = require('../services/formTokens');
+const { verifyFormToken } = require('../utils/tokens');
+
+// Hidden field on the form: people never see it, bots that fill every input do
+const HONEYPOT_FIELD = 'website';
+const SCREENING_FIELDS = ['formToken', 'captchaToken', HONEYPOT_FIELD];
+
+// A person takes longer than this to fill in the form
+const MIN_FILL_SECONDS = config.antiAbuse.minFillSeconds;
+// Off by default: the current form doesn't fetch a form token yet, and flagging
+// every tokenless submission would quarantine every real applicant. Set
+// FORM_TOKEN_REQUIRED=true once all clients send one.
+const FORM_TOKEN_REQUIRED = config.antiAbuse.formTokenRequired;
+// Providers that score requests (reCAPTCHA v3) flag anything below this
+const CAPTCHA_MIN_SCORE = config.antiAbuse.captcha.minScore;
+
+// Move the anti-abuse fields off the body into req.screeningInput, so they are
+// neither part of the application nor of the Idempotency-Key request hash
+// (a retry carries a fresh CAPTCHA token)
+const collectScreeningFields = (req, res, next) => {
+  const input = {};
+  SCREENING_FIELDS.forEach((field) => {
+    input[field] = req.body[field];
+    delete req.body[field];
+  });
+  req.screeningInput = input;
+  next();
+};
+
+// Tokens are single-use: the token is claimed here, and given back unless the
+// submission is accepted (like an Idempotency-Key, see middleware/idempotency.js)
+const useFormToken = async (payload, res) => {
+  let claimed;
+  try {
+    claimed = await claimFormToken(payload);
+  } catch (error) {
+    // Don't turn applicants away over this; the other checks still apply
+    console.error('❌ Could not record form token use:', error.message);
+    return true;
+  }
+  if (!claimed) return false;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      releaseFormToken(payload.jti).catch((error) => console.error('❌ Could not release form token:', error));
+    }
+    return json(body);
+  };
+  return true;
+};
+
+// Why the form token makes the submission suspicious (null when it's fine)
+const checkFormToken = async (formToken, res) => {
+  if (!formToken) {
+    if (FORM_TOKEN_REQUIRED) return 'form-token-missing';
+    console.warn('⚠️ Enrollment submitted without a form token');
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = verifyFormToken(formToken);
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? 'form-token-expired' : 'form-token-invalid';
+  }
+  if (!(await useFormToken(payload, res))) return 'form-token-reused';
+  return Date.now() / 1000 - payload.iat < MIN_FILL_SECONDS ? 'filled-too-fast' : null;
+};
+
+// Screen a public form submission. Disposable addresses and failed CAPTCHAs are
+// refused (the applicant can fix those); anything else suspicious is let through
+// with req.screening.flagged set, so the application is quarantined for staff
+// rather than lost. Runs after idempotent(), so a replay isn't screened twice.
+const screenSubmission = async (req, res, next) => {
+  const { formToken, captchaToken, [HONEYPOT_FIELD]: honeypot } = req.screeningInput || {};
+
+  if (isDisposableEmail(req.body.email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: [{ field: 'email', message: 'Please use a permanent email address, not a disposable one' }]
+    });
+  }
+
+  const reasons = [];
+  let captchaScore;
+
+  if (honeypot) reasons.push('honeypot');
+
+  const tokenProblem = await checkFormToken(formToken, res);
+  if (tokenProblem) reasons.push(tokenProblem);
+
+  const captcha = getCaptcha();
+  if (captcha) {
+    if (!captchaToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete the CAPTCHA',
+        code: 'CAPTCHA_REQUIRED'
+      });
+    }
+
+    try {
+      const result = await captcha.verify(String(captchaToken), { ip: req.ip });
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: 'CAPTCHA verification failed. Please try again.',
+          code: 'CAPTCHA_FAILED'
+        });
+      }
+      captchaScore = result.score;
+      if (captchaScore !== undefined && captchaScore < CAPTCHA_MIN_SCORE) reasons.push('captcha-low-score');
+    } catch (error) {
+      // Don't turn applicants away while the provider is down; let staff look instead
+      console.error('❌ CAPTCHA verification error:', error.message);
+      reasons.push('captcha-unavailable');
+    }
+  }
+
+  req.screening = {
+    flagged: reasons.length > 0,
+    reasons,
+    captchaScore,
+    checkedAt: new Date()
+  };
+  next();
+};
+
+// What the form needs before it is shown: a fresh form token and the CAPTCHA widget settings
+const formSettings = () => {
+  const captcha = getCaptcha();
+  return {
+    honeypotField: HONEYPOT_FIELD,
+    minFillSeconds: MIN_FILL_SECONDS,
+    captcha: captcha ? { provider: captcha.name, siteKey: config.antiAbuse.captcha.siteKey } : null
+  };
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  SCREENING_FIELDS,
+  collectScreeningFields,
+  screenSubmission,
+  formSettings
+};
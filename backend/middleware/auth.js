@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { verifyAccessToken, verifyApplicantToken } = require('../utils/tokens');
+
+// Verify the Bearer access token and attach the active user to req.user
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is disabled or no longer exists',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying credentials'
+    });
+  }
+};
+
+// Restrict a route to the given roles; must run after authenticate
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+      code: 'FORBIDDEN'
+    });
+  }
+  next();
+};
+
+// Verify an applicant session token and attach the application to req.student
+const authenticateApplicant = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Please verify your email to access your application',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyApplicantToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Your session has expired. Please verify your email again.' : 'Invalid session token',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const student = await Student.findById(payload.sub);
+    if (!student || student.erasedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Application no longer exists',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error('❌ Applicant authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying session'
+    });
+  }
+};
+
+module.exports = { authenticate, authorize, authenticateApplicant };
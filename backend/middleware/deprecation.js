@@ -0,0 +1,22 @@
+const { config } = require('../config');
+
+// The unversioned paths were deprecated when /api/v1 was introduced
+const LEGACY_DEPRECATED_AT = new Date('2026-10-18T00:00:00Z');
+
+// Optional removal date announced to clients, e.g. LEGACY_API_SUNSET=2027-06-30
+const LEGACY_SUNSET = config.api.legacySunset;
+
+// Serve a legacy path as an alias of its versioned replacement, marking the
+// response deprecated (RFC 9745) with a link to the path to use instead.
+// successorBase replaces the mount path: /api/students -> /api/v1/students
+const legacyAlias = (successorBase) => (req, res, next) => {
+  const successor = successorBase + (req.path === '/' ? '' : req.path);
+  res.set({
+    Deprecation: `@${Math.floor(LEGACY_DEPRECATED_AT.getTime() / 1000)}`,
+    Link: `<${successor}>; rel="successor-version"`,
+    ...(LEGACY_SUNSET ? { Sunset: LEGACY_SUNSET.toUTCString() } : {})
+  });
+  next();
+};
+
+module.exports = { legacyAlias };
@@ -0,0 +1,61 @@
+const { hashRequest, claimKey, completeKey, releaseKey } = require('../services/idempotency');
+
+// Printable ASCII, e.g. a UUID generated by the client for each submission
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Honour an Idempotency-Key header: a retry with the same key and body gets the
+// original response replayed instead of running the request again. Requests
+// without the header are handled as usual.
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1 to 255 printable characters (a UUID is recommended)',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  let result;
+  try {
+    result = await claimKey(scope, key, hashRequest(req.body));
+  } catch (error) {
+    if (error.status) {
+      if (error.code === 'IDEMPOTENCY_KEY_IN_USE') res.set('Retry-After', '1');
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error. Please try again later.',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+
+  if (result.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.replay.responseStatus).json(result.replay.responseBody);
+  }
+
+  // Successful responses are kept for replay; anything else releases the key
+  // so the same request can be retried
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 200 && res.statusCode < 300
+      ? completeKey(result.claim, res.statusCode, body)
+      : releaseKey(result.claim);
+    settle.catch((error) => console.error('❌ Could not store idempotency key result:', error));
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
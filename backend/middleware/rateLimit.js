@@ -0,0 +1,51 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { getPolicy, isAllowlisted, createStore } = require('../services/rateLimit');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Staff user ID from a valid Bearer access token, or null for anonymous clients.
+// Only the signature is checked (no database lookup); a disabled account keeps
+// the staff limit until its access token expires.
+const staffUserId = (req) => {
+  if (req.rateLimitUserId === undefined) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    req.rateLimitUserId = null;
+    if (scheme === 'Bearer' && token) {
+      try {
+        req.rateLimitUserId = verifyAccessToken(token).sub;
+      } catch (error) {
+        // Invalid or expired: counted by IP like any anonymous client
+      }
+    }
+  }
+  return req.rateLimitUserId;
+};
+
+// Rate limiter for one of the policies in services/rateLimit. Staff get their own
+// counter and the policy's staffMax; everyone else is counted by IP address.
+// exempt(req) leaves matching requests out entirely (e.g. health checks).
+const rateLimiter = (policyName, { exempt } = {}) => {
+  const policy = getPolicy(policyName);
+  const countsStaff = policy.staffMax !== undefined && policy.staffMax !== null;
+  const isStaff = (req) => countsStaff && Boolean(staffUserId(req));
+  const store = createStore(policyName);
+
+  return rateLimit({
+    identifier: policyName,
+    windowMs: policy.windowMinutes * 60 * 1000,
+    limit: (req) => (isStaff(req) ? policy.staffMax : policy.max),
+    keyGenerator: (req) => (isStaff(req) ? `user:${staffUserId(req)}` : `ip:${ipKeyGenerator(req.ip)}`),
+    skip: (req) => (exempt && exempt(req)) ||
+      (policy.allowlist !== false && isAllowlisted(req.ip)) ||
+      Boolean(store.unavailable && store.unavailable()),
+    store,
+    // Don't take the API down with the counter store; log and let the request through
+    passOnStoreError: true,
+    message: {
+      success: false,
+      message: policy.message,
+      code: 'RATE_LIMITED'
+    }
+  });
+};
+
+module.exports = { rateLimiter };
@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { MAX_DOCUMENT_SIZE } = require('../services/documents');
+
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024; // 2 MB of CSV is several thousand applicants
+
+// Accept a single file in the "file" field (kept in memory so its contents
+// can be checked before it is used), with JSON errors
+const singleFileUpload = (maxSize) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: 1,
+      fields: 5
+    }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `Files cannot be larger than ${maxSize / (1024 * 1024)} MB`
+            : `Upload failed: ${error.message}`,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_ERROR'
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+const uploadDocument = singleFileUpload(MAX_DOCUMENT_SIZE);
+const uploadCsv = singleFileUpload(MAX_IMPORT_SIZE);
+
+module.exports = { uploadDocument, uploadCsv };
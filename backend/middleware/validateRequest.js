@@ -0,0 +1,123 @@
+const { config } = require('../config');
+const { document, findOperation } = require('../openapi');
+const { DOCUMENT_ID, compileAt, compileParameters, toFieldErrors } = require('../openapi/validator');
+const { sanitizeInput } = require('../utils/validation');
+
+// Log responses that don't match the document (development aid; off by default)
+const VALIDATE_RESPONSES = config.api.validateResponses;
+
+const JSON_TYPE = 'application/json';
+
+// Follow a local $ref ("#/components/...") to its target and JSON pointer
+const resolve = (value, pointer) => {
+  if (!value || !value.$ref) return { value, pointer };
+  const refPointer = value.$ref.slice(1);
+  const target = refPointer.split('/').slice(1)
+    .reduce((node, key) => node[key.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+  return { value: target, pointer: refPointer };
+};
+
+// Path and query parameters of an operation, path-level first so the operation can override them
+const collectParameters = (op) => {
+  const byKey = new Map();
+  const add = (list, base) => list.forEach((param, i) => {
+    const { value, pointer } = resolve(param, `${base}/parameters/${i}`);
+    byKey.set(`${value.in}:${value.name}`, { ...value, schemaPointer: `${pointer}/schema` });
+  });
+  add(op.pathParameters, op.pointer.replace(/\/[a-z]+$/, ''));
+  add(op.operation.parameters || [], op.pointer);
+  return [...byKey.values()];
+};
+
+// One validator for all parameters in a location ("path" or "query")
+const compileLocation = (parameters, location) => {
+  const inLocation = parameters.filter((param) => param.in === location);
+  if (inLocation.length === 0) return null;
+
+  const properties = {};
+  const required = [];
+  inLocation.forEach((param) => {
+    properties[param.name] = { $ref: `${DOCUMENT_ID}#${param.schemaPointer}` };
+    if (param.required) required.push(param.name);
+  });
+  return compileParameters({ type: 'object', properties, required });
+};
+
+// Validate the request against the operation in the OpenAPI document; responds
+// 400 { success: false, message: 'Validation failed', errors: [{ field, message }] }
+const validateRequest = (operationId) => {
+  const op = findOperation(operationId);
+  if (!op) {
+    throw new Error(`Unknown OpenAPI operation "${operationId}"`);
+  }
+
+  const parameters = collectParameters(op);
+  const validatePath = compileLocation(parameters, 'path');
+  const validateQuery = compileLocation(parameters, 'query');
+
+  // Only JSON bodies; multipart bodies are checked by the upload handlers
+  const requestBody = op.operation.requestBody;
+  const validateBody = requestBody && requestBody.content[JSON_TYPE]
+    ? compileAt(`${op.pointer}/requestBody/content/${JSON_TYPE.replace('/', '~1')}/schema`)
+    : null;
+
+  return (req, res, next) => {
+    const errors = [];
+
+    // Validated on copies: coercion must not change what the handlers see
+    if (validatePath && !validatePath({ ...req.params })) {
+      errors.push(...toFieldErrors(validatePath.errors));
+    }
+    if (validateQuery && !validateQuery({ ...req.query })) {
+      errors.push(...toFieldErrors(validateQuery.errors));
+    }
+    if (validateBody && !validateBody(req.body === undefined ? {} : req.body)) {
+      errors.push(...toFieldErrors(validateBody.errors));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (VALIDATE_RESPONSES) checkResponses(op, res);
+    next();
+  };
+};
+
+// Warn when a JSON response doesn't match what the document says it returns
+const checkResponses = (op, res) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const status = String(res.statusCode);
+    const declared = op.operation.responses[status] || op.operation.responses.default;
+    const { value, pointer } = resolve(declared, `${op.pointer}/responses/${status}`);
+
+    if (value && value.content && value.content[JSON_TYPE] && value.content[JSON_TYPE].schema) {
+      const validate = compileAt(`${pointer}/content/${JSON_TYPE.replace('/', '~1')}/schema`);
+      if (!validate(JSON.parse(JSON.stringify(body)))) {
+        console.warn(`⚠️ Response ${status} of ${op.operationId} doesn't match the OpenAPI document:`,
+          toFieldErrors(validate.errors));
+      }
+    }
+    return json(body);
+  };
+};
+
+// Trim string fields and strip characters used for HTML injection
+const sanitizeBody = (req, res, next) => {
+  if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+    Object.keys(req.body).forEach((key) => {
+      req.body[key] = sanitizeInput(req.body[key]);
+    });
+  }
+  next();
+};
+
+module.exports = {
+  validateRequest,
+  sanitizeBody
+};
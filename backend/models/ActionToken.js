@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['approve', 'reject', 'view'];
+
+// Server-side record of each signed email link so decision links are single-use
+const actionTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  recipient: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  usedFromIp: String
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired tokens automatically
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+actionTokenSchema.index({ student: 1, action: 1 });
+
+const ActionToken = mongoose.model('ActionToken', actionTokenSchema);
+
+module.exports = ActionToken;
+module.exports.ACTIONS = ACTIONS;
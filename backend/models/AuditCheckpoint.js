@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// The newest audit log entry seen (one document), kept apart from the entries
+// themselves so that deleting the most recent entries can be detected. Signed
+// with the audit key so it can't be rewritten to match a shortened log.
+const auditCheckpointSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, required: true },
+  hash: { type: String },
+  signature: { type: String, required: true },
+  recordedAt: { type: Date, required: true }
+}, {
+  versionKey: false
+});
+
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+module.exports = AuditCheckpoint;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'student.list',
+  'student.view',
+  'student.export',
+  'student.import',
+  'student.status-change',
+  'student.merge',
+  'student.duplicate-dismiss',
+  'student.data-export',
+  'student.erase',
+  'student.retention',
+  'document.upload',
+  'document.download',
+  'document.verify',
+  'applicant.view',
+  'applicant.update'
+];
+
+const ACTOR_TYPES = ['user', 'applicant', 'email-link', 'system'];
+
+// Who read or changed applicant personal data. Entries are append-only: each
+// one carries the keyed hash (HMAC) of the previous entry, so edits or deletions
+// break the chain (see services/auditLog.js).
+const auditLogSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, immutable: true },
+  actorType: { type: String, enum: ACTOR_TYPES, required: true, immutable: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, immutable: true },
+  // Staff and email-link recipients only; applicants are recorded by ID
+  actorEmail: { type: String, immutable: true },
+  actorRole: { type: String, immutable: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true, immutable: true },
+  targetType: { type: String, required: true, immutable: true },
+  targetIds: { type: [mongoose.Schema.Types.ObjectId], immutable: true },
+  ipAddress: { type: String, immutable: true },
+  userAgent: { type: String, immutable: true },
+  method: { type: String, immutable: true },
+  path: { type: String, immutable: true },
+  details: { type: mongoose.Schema.Types.Mixed, immutable: true },
+  createdAt: { type: Date, required: true, immutable: true },
+  prevHash: { type: String, immutable: true },
+  hash: { type: String, required: true, immutable: true }
+}, {
+  versionKey: false,
+  // Keep empty objects in details so the stored entry matches its hash
+  minimize: false
+});
+
+auditLogSchema.index({ seq: 1 }, { unique: true });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetIds: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Refuse changes through Mongoose; existing entries can only be read
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: false, query: true }, refuseChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.ACTOR_TYPES = ACTOR_TYPES;
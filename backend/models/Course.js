@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Programme applicants can enrol in
+const courseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{2,20}$/, 'Course code may only contain letters, numbers and dashes']
+  },
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Course title cannot exceed 100 characters']
+  },
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Seats available for this intake; null means unlimited
+  capacity: {
+    type: Number,
+    min: [0, 'Capacity cannot be negative'],
+    default: null
+  },
+  // Applications currently holding a seat (pending or approved)
+  seatsTaken: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  applicationOpens: Date,
+  applicationCloses: Date,
+  termStart: Date,
+  termEnd: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+courseSchema.path('applicationCloses').validate(function(value) {
+  return !value || !this.applicationOpens || value > this.applicationOpens;
+}, 'Application closing date must be after the opening date');
+
+courseSchema.path('termEnd').validate(function(value) {
+  return !value || !this.termStart || value > this.termStart;
+}, 'Term end date must be after the term start date');
+
+// Accepting applications right now
+courseSchema.virtual('isOpen').get(function() {
+  const now = new Date();
+  if (!this.isActive) return false;
+  if (this.applicationOpens && now < this.applicationOpens) return false;
+  if (this.applicationCloses && now > this.applicationCloses) return false;
+  return true;
+});
+
+courseSchema.virtual('seatsAvailable').get(function() {
+  if (this.capacity === null || this.capacity === undefined) return null;
+  return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+courseSchema.virtual('isFull').get(function() {
+  return this.seatsAvailable === 0;
+});
+
+const Course = mongoose.model('Course', courseSchema);
+
+module.exports = Course;
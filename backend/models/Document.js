@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['national-id', 'passport', 'transcript', 'certificate', 'photo', 'other'];
+const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Supporting document attached to an application; the file itself lives in storage
+const documentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: {
+      values: DOCUMENT_TYPES,
+      message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+    }
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: String,
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  uploadedBy: {
+    type: String,
+    enum: ['applicant', 'staff'],
+    default: 'applicant'
+  },
+  verificationStatus: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    default: 'pending'
+  },
+  verificationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ student: 1, type: 1 });
+
+const Document = mongoose.model('Document', documentSchema);
+
+module.exports = Document;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'dead'];
+
+// Outbound email waiting to be (or already) delivered by the email worker
+const emailJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  message: {
+    from: String,
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: String,
+    text: String,
+    priority: String
+  },
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  // Every failed delivery attempt, oldest first
+  failures: [{
+    message: String,
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  sentAt: Date,
+  messageId: String
+}, {
+  timestamps: true
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ student: 1 });
+
+const EmailJob = mongoose.model('EmailJob', emailJobSchema);
+
+module.exports = EmailJob;
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_STATUSES = ['processing', 'completed'];
+
+// Result of a request sent with an Idempotency-Key, replayed when the client retries
+const idempotencyKeySchema = new mongoose.Schema({
+  // Endpoint the key belongs to, so the same key can't replay another endpoint's response
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body; a retry must send the same body
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: IDEMPOTENCY_STATUSES,
+    default: 'processing'
+  },
+  // Identifies the request holding the key; a crashed request's claim can be taken over once lockedUntil passes
+  claimId: String,
+  lockedUntil: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB removes expired keys automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_STATUSES = IDEMPOTENCY_STATUSES;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Hits from one client against one rate limit policy in the current window
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<policy>:<client>", e.g. "login:ip:203.0.113.7" or "api:user:64b0..."
+  key: {
+    type: String,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false,
+  // Fail straight away while disconnected instead of queueing until the database is back
+  bufferCommands: false
+});
+
+rateLimitCounterSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes counters once their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
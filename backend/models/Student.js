@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { normalizePhone } = require('../utils/normalize');
+const { decryptValue } = require('../utils/fieldEncryption');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// flagged: held back by the anti-abuse checks until staff release or reject it
+const STATUSES = ['pending', 'waitlisted', 'approved', 'rejected', 'flagged'];
+const SOURCES = ['form', 'import'];
+const DUPLICATE_CHECK_STATUSES = ['clear', 'flagged', 'dismissed'];
+
+// Personal data encrypted at rest. idnumber and dateOfBirth also get a blind
+// index so they can still be matched exactly (duplicate checks, search).
+const ENCRYPTED_FIELDS = {
+  idnumber: { type: 'string', normalize: (value) => String(value).replace(/[\s-]/g, '').toUpperCase() },
+  dateOfBirth: { type: 'date', normalize: (value) => new Date(value).toISOString().slice(0, 10) },
+  address: { type: 'string' },
+  emergencyPhone: { type: 'string' }
+};
+
+// Validators see the stored (encrypted) value, so they check the decrypted one
+const plaintextOf = (value) => (value ? decryptValue(value) : value);
+
+// One entry per status decision: who made it, when and why
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: STATUSES, required: true },
+  to: { type: String, enum: STATUSES, required: true },
+  reason: { type: String, trim: true, maxlength: [500, 'Reason cannot exceed 500 characters'] },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedByEmail: String,
+  via: { type: String, enum: ['api', 'email-link', 'system'], default: 'api' },
+  changedAt: { type: Date, default: Date.now }
+}, {
+  _id: false
+});
+
+// Enhanced Student Schema
+// One entry per applicant self-service edit, with before/after values
+const applicantEditSchema = new mongoose.Schema({
+  changes: [{
+    field: { type: String, required: true },
+    from: String,
+    to: String,
+    _id: false
+  }],
+  editedBy: { type: String, enum: ['applicant', 'staff'], default: 'applicant' },
+  ipAddress: String,
+  editedAt: { type: Date, default: Date.now }
+}, {
+  _id: false
+});
+
+// Existing application this one may duplicate, and why
+const duplicateMatchSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  score: { type: Number, required: true },
+  reasons: [String]
+}, {
+  _id: false
+});
+
+// Another application that was merged into this one, kept as it was before the merge
+const mergeRecordSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, required: true },
+  fieldsTaken: [String],
+  snapshot: mongoose.Schema.Types.Mixed,
+  mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  mergedByEmail: String,
+  mergedAt: { type: Date, default: Date.now }
+}, {
+  _id: false
+});
+
+const studentSchema = new mongoose.Schema({
+  firstName: { 
+    type: String, 
+    required: [true, 'First name is required'],
+    trim: true,
+    minlength: [2, 'First name must be at least 2 characters'],
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: { 
+    type: String, 
+    required: [true, 'Last name is required'],
+    trim: true,
+    minlength: [2, 'Last name must be at least 2 characters'],
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  email: { 
+    type: String, 
+    required: [true, 'Email is required'], 
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  phone: { 
+    type: String, 
+    required: [true, 'Phone number is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^[\d\s\-\+\(\)]{10,}$/.test(v.replace(/\s/g, ''));
+      },
+      message: 'Please provide a valid phone number'
+    }
+  },
+  // Encrypted; uniqueness is enforced on blindIndex.idnumber
+  idnumber: { 
+    type: String, 
+    required: [true, 'ID number is required'], 
+    validate: {
+      validator: function(v) {
+        return plaintextOf(v).length >= 6;
+      },
+      message: 'ID number must be at least 6 characters'
+    }
+  },
+  // Encrypted ISO date string; reads back as a Date
+  dateOfBirth: { 
+    type: String, 
+    required: [true, 'Date of birth is required'],
+    validate: {
+      validator: function(v) {
+        const age = Math.floor((new Date() - new Date(plaintextOf(v))) / (365.25 * 24 * 60 * 60 * 1000));
+        return age >= 16 && age <= 100;
+      },
+      message: 'Age must be between 16 and 100 years'
+    }
+  },
+  // Kept in the clear for age statistics
+  birthYear: Number,
+  course: { 
+    type: String, 
+    required: [true, 'Course selection is required'],
+    trim: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Encrypted
+  address: { 
+    type: String, 
+    required: [true, 'Address is required'],
+    validate: {
+      validator: function(v) {
+        return plaintextOf(v).length >= 10;
+      },
+      message: 'Please provide a complete address'
+    }
+  },
+  city: { 
+    type: String, 
+    required: [true, 'City is required'],
+    trim: true
+  },
+  zipCode: { 
+    type: String, 
+    required: [true, 'ZIP code is required'],
+    trim: true
+  },
+  emergencyContact: { 
+    type: String, 
+    required: [true, 'Emergency contact is required'],
+    trim: true
+  },
+  // Encrypted
+  emergencyPhone: { 
+    type: String, 
+    required: [true, 'Emergency phone is required'],
+    validate: {
+      validator: function(v) {
+        return /^[\d\s\-\+\(\)]{10,}$/.test(plaintextOf(v).replace(/\s/g, ''));
+      },
+      message: 'Please provide a valid emergency phone number'
+    }
+  },
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: ['en', 'sw'],
+      message: 'Preferred language must be en or sw'
+    },
+    default: 'en'
+  },
+  enrollmentDate: { 
+    type: Date, 
+    default: Date.now 
+  },
+  status: { 
+    type: String, 
+    default: 'pending', 
+    enum: STATUSES 
+  },
+  decidedAt: Date,
+  waitlistedAt: Date,
+  statusHistory: [statusChangeSchema],
+  editHistory: [applicantEditSchema],
+  // How the application arrived: the public form or a staff CSV import
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'form'
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Normalized phone number for duplicate matching (kept in sync by the hooks below)
+  phoneKey: String,
+  duplicateCheck: {
+    status: { type: String, enum: DUPLICATE_CHECK_STATUSES, default: 'clear' },
+    matches: [duplicateMatchSchema],
+    checkedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date
+  },
+  mergeHistory: [mergeRecordSchema],
+  // Why the anti-abuse checks flagged the submission (see middleware/antiAbuse.js)
+  screening: {
+    reasons: [String],
+    captchaScore: Number,
+    checkedAt: Date
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Set when the applicant's personal data was erased on request (the record is kept anonymized)
+  erasedAt: Date,
+  erasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for better performance
+studentSchema.index({ email: 1 });
+studentSchema.index({ enrollmentDate: -1 });
+studentSchema.index({ status: 1 });
+studentSchema.index({ courseId: 1, status: 1, waitlistedAt: 1 });
+studentSchema.index({ createdAt: -1 });
+studentSchema.index({ phoneKey: 1 });
+studentSchema.index({ 'blindIndex.idnumber': 1 }, { unique: true, sparse: true });
+studentSchema.index({ 'blindIndex.dateOfBirth': 1 });
+studentSchema.index({ 'duplicateCheck.status': 1, 'duplicateCheck.checkedAt': -1 });
+
+// Free-text search for staff, ranked by relevance (names and contact details count most)
+studentSchema.index({
+  firstName: 'text',
+  lastName: 'text',
+  email: 'text',
+  city: 'text',
+  course: 'text'
+}, {
+  name: 'student_search',
+  weights: { firstName: 10, lastName: 10, email: 8, course: 3, city: 2 },
+  // Names shouldn't be stemmed or dropped as stop words
+  default_language: 'none',
+  language_override: 'searchLanguage'
+});
+
+studentSchema.plugin(encryptedFields, { fields: ENCRYPTED_FIELDS });
+
+studentSchema.pre('validate', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneKey = normalizePhone(this.phone);
+  }
+  if (this.isModified('dateOfBirth')) {
+    this.birthYear = this.dateOfBirth ? this.dateOfBirth.getUTCFullYear() : undefined;
+  }
+  next();
+});
+
+studentSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const phone = update.$set ? update.$set.phone : update.phone;
+  if (phone) {
+    this.set('phoneKey', normalizePhone(phone));
+  }
+  next();
+});
+
+const Student = mongoose.model('Student', studentSchema);
+
+module.exports = Student;
+module.exports.STATUSES = STATUSES;
+module.exports.SOURCES = SOURCES;
+module.exports.DUPLICATE_CHECK_STATUSES = DUPLICATE_CHECK_STATUSES;
+module.exports.ENCRYPTED_FIELDS = Object.keys(ENCRYPTED_FIELDS);
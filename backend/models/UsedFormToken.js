@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Form tokens (see GET /enrollments/form-token) that a submission has used, so
+// each one is good for a single application
+const usedFormTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // When the token itself expires; after that it can't be used anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes the record once the token has expired
+usedFormTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsedFormToken = mongoose.model('UsedFormToken', usedFormTokenSchema);
+
+module.exports = UsedFormToken;
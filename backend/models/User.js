@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const validator = require('validator');
+
+const ROLES = ['admin', 'registrar', 'viewer'];
+// Roles that may see unmasked applicant PII (ID numbers, birth dates, addresses)
+const SENSITIVE_DATA_ROLES = ['admin', 'registrar'];
+const SALT_ROUNDS = 12;
+
+// Admin/staff accounts that can access the student endpoints
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Please select a valid role'
+    },
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+  // Active refresh token IDs; removing one revokes that session
+  refreshTokens: {
+    type: [{
+      tokenId: { type: String, required: true },
+      expiresAt: { type: Date, required: true },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.methods.setPassword = async function(password) {
+  if (!password || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.verifyPassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.methods.canViewSensitiveData = function() {
+  return SENSITIVE_DATA_ROLES.includes(this.role);
+};
+
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.refreshTokens;
+  delete user.__v;
+  return user;
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
+module.exports.SENSITIVE_DATA_ROLES = SENSITIVE_DATA_ROLES;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One-time code emailed to an applicant to prove they own the application
+const verificationCodeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestedFromIp: String
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired codes automatically
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+verificationCodeSchema.index({ student: 1, createdAt: -1 });
+
+const VerificationCode = mongoose.model('VerificationCode', verificationCodeSchema);
+
+module.exports = VerificationCode;
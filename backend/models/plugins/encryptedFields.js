@@ -0,0 +1,119 @@
+const { isEncrypted, encryptValue, decryptValue, blindIndex } = require('../../utils/fieldEncryption');
+
+const QUERY_HOOKS = [
+  'find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'findOneAndDelete',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+
+// Stored value for a plaintext field value; dates are kept as ISO strings
+const toStored = (value, type) => {
+  if (value === undefined || value === null || value === '') return value;
+  if (isEncrypted(value)) return value;
+
+  if (type === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    // An unparseable date is left empty so the required validator reports it
+    return Number.isNaN(date.getTime()) ? undefined : encryptValue(date.toISOString());
+  }
+  return encryptValue(String(value).trim());
+};
+
+const toPlain = (value, type) => {
+  if (value === undefined || value === null) return value;
+  const plaintext = decryptValue(value);
+  return type === 'date' ? new Date(plaintext) : plaintext;
+};
+
+// Encrypt the given String paths at rest (AES-256-GCM, see utils/fieldEncryption).
+// Documents read and write plaintext through getters/setters; lean results need decryptFields().
+//
+// fields: { path: { type: 'string' | 'date', normalize? } }. Paths with a normalize
+// function also get a keyed blind index at blindIndex.<path>, and equality queries
+// on the path (e.g. { idnumber: '12345678' }) are rewritten to use it.
+const encryptedFields = (schema, { fields }) => {
+  const paths = Object.keys(fields);
+  const indexedPaths = paths.filter((path) => fields[path].normalize);
+
+  const indexFor = (path, value) => blindIndex(path, fields[path].normalize(value));
+
+  paths.forEach((path) => {
+    const { type } = fields[path];
+    schema.path(path)
+      .set((value) => toStored(value, type))
+      .get((value) => toPlain(value, type));
+  });
+
+  indexedPaths.forEach((path) => {
+    schema.add({ blindIndex: { [path]: { type: String, select: false } } });
+  });
+
+  // Plaintext in API responses and templates, without the blind indexes
+  schema.set('toJSON', {
+    ...schema.get('toJSON'),
+    getters: true,
+    virtuals: false,
+    transform: (doc, ret) => {
+      delete ret.blindIndex;
+      return ret;
+    }
+  });
+  schema.set('toObject', { ...schema.get('toObject'), getters: true, virtuals: false });
+
+  schema.pre('validate', function(next) {
+    indexedPaths.forEach((path) => {
+      if (!this.isModified(path)) return;
+      const value = this.get(path);
+      this.set(`blindIndex.${path}`, value === undefined || value === null ? undefined : indexFor(path, value));
+    });
+    next();
+  });
+
+  // { idnumber: 'x' } -> { 'blindIndex.idnumber': hmac }, including inside $and / $or / $nor
+  const translateFilter = (filter) => {
+    if (!filter || typeof filter !== 'object') return filter;
+
+    return Object.fromEntries(Object.entries(filter).map(([key, value]) => {
+      if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+        return [key, value.map(translateFilter)];
+      }
+      const isPlainValue = typeof value === 'string' || value instanceof Date;
+      if (indexedPaths.includes(key) && isPlainValue) {
+        return [`blindIndex.${key}`, indexFor(key, value)];
+      }
+      return [key, value];
+    }));
+  };
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    this.setQuery(translateFilter(this.getFilter()));
+
+    // Keep blind indexes in step with updates that set an indexed path
+    const update = this.getUpdate && this.getUpdate();
+    if (update) {
+      const set = update.$set || update;
+      indexedPaths.forEach((path) => {
+        if (set[path] !== undefined && set[path] !== null) {
+          this.set(`blindIndex.${path}`, indexFor(path, set[path]));
+        }
+      });
+    }
+    next();
+  });
+
+  // Blind index for a value, for filters that skip query middleware (aggregate, raw collection)
+  schema.statics.blindIndexFor = function(path, value) {
+    return indexFor(path, value);
+  };
+
+  // Decrypted copy of a lean / raw document
+  schema.statics.decryptFields = function(record) {
+    const plain = { ...record };
+    paths.forEach((path) => {
+      if (plain[path] !== undefined) plain[path] = toPlain(plain[path], fields[path].type);
+    });
+    delete plain.blindIndex;
+    return plain;
+  };
+};
+
+module.exports = encryptedFields;
@@ -0,0 +1,493 @@
+// Reusable parts of the OpenAPI document: schemas, parameters, responses and security.
+// Enums come from the models so the document can't drift from what the API accepts.
+const Student = require('../models/Student');
+const Document = require('../models/Document');
+const EmailJob = require('../models/EmailJob');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { LOCALES } = require('../services/emailTemplates');
+const { HONEYPOT_FIELD } = require('../middleware/antiAbuse');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Same rule as the model: at least 10 digits/symbols once spaces are ignored
+const PHONE_PATTERN = '^\\s*(?:[\\d\\-+()]\\s*){10,}$';
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', 'x-message': 'Must be a valid ID' };
+const dateTime = { type: 'string', format: 'date-time' };
+// Query string dates: a plain date or a full timestamp
+const dateParam = {
+  type: 'string',
+  anyOf: [{ format: 'date' }, { format: 'date-time' }],
+  'x-message': 'Must be a valid date (e.g. 2025-01-31)'
+};
+
+const schemas = {
+  ObjectId: objectId,
+  DateParam: dateParam,
+
+  // Every error response
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { const: false },
+      message: { type: 'string' },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. DUPLICATE_ENTRY' }
+    }
+  },
+
+  // One problem with one field of the request
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Field path, e.g. "email" or "takeFields.0"' },
+      message: { type: 'string' }
+    }
+  },
+
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'message', 'errors'],
+    properties: {
+      success: { const: false },
+      message: { const: 'Validation failed' },
+      code: { type: 'string' },
+      errors: { type: 'array', items: ref('FieldError') }
+    }
+  },
+
+  Success: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { const: true },
+      message: { type: 'string' }
+    }
+  },
+
+  CursorPagination: {
+    type: 'object',
+    required: ['limit', 'hasMore', 'nextCursor'],
+    properties: {
+      limit: { type: 'integer' },
+      sort: { type: 'string' },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: ['string', 'null'], description: 'Pass back as ?cursor= for the next page' },
+      total: { type: 'integer', description: 'Only with ?includeTotal=true' }
+    }
+  },
+
+  PagePagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'pages'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      pages: { type: 'integer' }
+    }
+  },
+
+  // Body of POST /send
+  EnrollmentApplication: {
+    type: 'object',
+    required: [
+      'firstName', 'lastName', 'email', 'phone', 'idnumber', 'dateOfBirth', 'course',
+      'address', 'city', 'zipCode', 'emergencyContact', 'emergencyPhone'
+    ],
+    properties: {
+      firstName: { type: 'string', minLength: 2, maxLength: 50, 'x-message': 'First name must be between 2 and 50 characters' },
+      lastName: { type: 'string', minLength: 2, maxLength: 50, 'x-message': 'Last name must be between 2 and 50 characters' },
+      email: { type: 'string', format: 'email', maxLength: 254, 'x-message': 'Please provide a valid email address' },
+      phone: { type: 'string', pattern: PHONE_PATTERN, 'x-message': 'Please provide a valid phone number' },
+      idnumber: { type: 'string', minLength: 6, maxLength: 30, 'x-message': 'ID number must be between 6 and 30 characters' },
+      dateOfBirth: {
+        type: 'string',
+        anyOf: [{ format: 'date' }, { format: 'date-time' }],
+        description: 'YYYY-MM-DD. Applicants must be between 16 and 100 years old.',
+        'x-message': 'Please provide a valid date of birth (YYYY-MM-DD)'
+      },
+      course: { type: 'string', minLength: 1, description: 'Course code or title', 'x-message': 'Please select a valid course' },
+      address: { type: 'string', minLength: 10, maxLength: 200, 'x-message': 'Please provide a complete address' },
+      city: { type: 'string', minLength: 1, maxLength: 100, 'x-message': 'City is required' },
+      zipCode: { type: 'string', minLength: 1, maxLength: 20, 'x-message': 'ZIP code is required' },
+      emergencyContact: { type: 'string', minLength: 1, maxLength: 100, 'x-message': 'Emergency contact is required' },
+      emergencyPhone: { type: 'string', pattern: PHONE_PATTERN, 'x-message': 'Please provide a valid emergency phone number' },
+      preferredLanguage: {
+        type: 'string',
+        enum: [...LOCALES, ''],
+        'x-message': `Preferred language must be one of: ${LOCALES.join(', ')}`
+      }
+    }
+  },
+
+  // Body of POST /api/v1/enrollments: the application plus the anti-abuse fields
+  EnrollmentSubmission: {
+    allOf: [
+      ref('EnrollmentApplication'),
+      {
+        type: 'object',
+        properties: {
+          formToken: { type: 'string', description: 'From GET /api/v1/enrollments/form-token when the form was shown' },
+          captchaToken: { type: 'string', description: 'Token from the CAPTCHA widget; required when a CAPTCHA provider is configured' },
+          [HONEYPOT_FIELD]: { type: 'string', description: 'Hidden honeypot field; leave empty' }
+        }
+      }
+    ]
+  },
+
+  StatusChange: {
+    type: 'object',
+    properties: {
+      from: { type: 'string', enum: Student.STATUSES },
+      to: { type: 'string', enum: Student.STATUSES },
+      reason: { type: 'string' },
+      changedBy: objectId,
+      changedByEmail: { type: 'string' },
+      via: { type: 'string', enum: ['api', 'email-link', 'system'] },
+      changedAt: dateTime
+    }
+  },
+
+  DuplicateCheck: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: Student.DUPLICATE_CHECK_STATUSES },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            student: { description: 'Student ID, or the student when populated' },
+            score: { type: 'number' },
+            reasons: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      checkedAt: dateTime,
+      reviewedBy: objectId,
+      reviewedAt: dateTime
+    }
+  },
+
+  // Application as seen by staff (sensitive fields in plain text)
+  Student: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' },
+      idnumber: { type: 'string' },
+      dateOfBirth: dateTime,
+      birthYear: { type: 'integer' },
+      course: { type: 'string' },
+      courseId: objectId,
+      address: { type: 'string' },
+      city: { type: 'string' },
+      zipCode: { type: 'string' },
+      emergencyContact: { type: 'string' },
+      emergencyPhone: { type: 'string' },
+      preferredLanguage: { type: 'string', enum: LOCALES },
+      enrollmentDate: dateTime,
+      status: { type: 'string', enum: Student.STATUSES },
+      decidedAt: dateTime,
+      waitlistedAt: dateTime,
+      statusHistory: { type: 'array', items: ref('StatusChange') },
+      source: { type: 'string', enum: Student.SOURCES },
+      duplicateCheck: ref('DuplicateCheck'),
+      screening: {
+        type: 'object',
+        description: 'Why the anti-abuse checks flagged the application (status flagged)',
+        properties: {
+          reasons: { type: 'array', items: { type: 'string' } },
+          captchaScore: { type: 'number' },
+          checkedAt: dateTime
+        }
+      },
+      erasedAt: dateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  // What an applicant sees about their own application
+  ApplicantView: {
+    type: 'object',
+    properties: {
+      applicationId: { type: 'string' },
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' },
+      course: { type: 'string' },
+      address: { type: 'string' },
+      city: { type: 'string' },
+      zipCode: { type: 'string' },
+      emergencyContact: { type: 'string' },
+      emergencyPhone: { type: 'string' },
+      preferredLanguage: { type: 'string' },
+      status: { type: 'string', enum: Student.STATUSES },
+      submittedAt: dateTime,
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { status: { type: 'string' }, changedAt: dateTime, reason: { type: 'string' } }
+        }
+      },
+      editHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { fields: { type: 'array', items: { type: 'string' } }, editedAt: dateTime }
+        }
+      },
+      canEdit: { type: 'boolean' },
+      editableFields: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  // Contact details an applicant may change while the application is pending
+  ApplicantUpdate: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      phone: { type: 'string', pattern: PHONE_PATTERN, 'x-message': 'Please provide a valid phone number' },
+      address: { type: 'string', minLength: 10, maxLength: 200, 'x-message': 'Please provide a complete address' },
+      city: { type: 'string', minLength: 1, maxLength: 100, 'x-message': 'city cannot be empty' },
+      zipCode: { type: 'string', minLength: 1, maxLength: 20, 'x-message': 'zipCode cannot be empty' },
+      emergencyContact: { type: 'string', minLength: 1, maxLength: 100, 'x-message': 'emergencyContact cannot be empty' },
+      emergencyPhone: { type: 'string', pattern: PHONE_PATTERN, 'x-message': 'Please provide a valid emergency phone number' }
+    }
+  },
+
+  Course: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      code: { type: 'string' },
+      title: { type: 'string' },
+      department: { type: 'string' },
+      description: { type: 'string' },
+      capacity: { type: ['integer', 'null'] },
+      seatsTaken: { type: 'integer' },
+      seatsAvailable: { type: ['integer', 'null'] },
+      isFull: { type: 'boolean' },
+      isOpen: { type: 'boolean' },
+      applicationOpens: dateTime,
+      applicationCloses: dateTime,
+      termStart: dateTime,
+      termEnd: dateTime,
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  // Fields an admin may set on a course
+  CourseInput: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', pattern: '^[A-Za-z0-9-]{2,20}$', 'x-message': 'Course code may only contain letters, numbers and dashes' },
+      title: { type: 'string', minLength: 1, maxLength: 100, 'x-message': 'Course title must be between 1 and 100 characters' },
+      department: { type: 'string', minLength: 1, 'x-message': 'Department cannot be empty' },
+      description: { type: 'string', maxLength: 2000, 'x-message': 'Description cannot exceed 2000 characters' },
+      capacity: { type: ['integer', 'null'], minimum: 0, 'x-message': 'Capacity must be a whole number of seats, or null for unlimited' },
+      applicationOpens: { anyOf: [ref('DateParam'), { type: 'null' }], 'x-message': 'Must be a valid date (e.g. 2025-01-31), or null' },
+      applicationCloses: { anyOf: [ref('DateParam'), { type: 'null' }], 'x-message': 'Must be a valid date (e.g. 2025-01-31), or null' },
+      termStart: { anyOf: [ref('DateParam'), { type: 'null' }], 'x-message': 'Must be a valid date (e.g. 2025-01-31), or null' },
+      termEnd: { anyOf: [ref('DateParam'), { type: 'null' }], 'x-message': 'Must be a valid date (e.g. 2025-01-31), or null' },
+      isActive: { type: 'boolean', 'x-message': 'isActive must be true or false' }
+    }
+  },
+
+  Document: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      student: objectId,
+      type: { type: 'string', enum: Document.DOCUMENT_TYPES },
+      originalName: { type: 'string' },
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      checksum: { type: 'string' },
+      uploadedBy: { type: 'string', enum: ['applicant', 'staff'] },
+      verificationStatus: { type: 'string', enum: Document.VERIFICATION_STATUSES },
+      verificationNote: { type: 'string' },
+      verifiedBy: objectId,
+      verifiedAt: dateTime,
+      createdAt: dateTime
+    }
+  },
+
+  DocumentUpload: {
+    type: 'object',
+    required: ['file', 'type'],
+    properties: {
+      file: { type: 'string', contentMediaType: 'application/octet-stream', description: 'PDF, JPEG or PNG' },
+      type: { type: 'string', enum: Document.DOCUMENT_TYPES }
+    }
+  },
+
+  EmailJob: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      type: { type: 'string' },
+      student: objectId,
+      message: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          subject: { type: 'string' },
+          html: { type: 'string', description: 'Removed once the email is sent or dead-lettered' },
+          text: { type: 'string', description: 'Removed once the email is sent or dead-lettered' }
+        }
+      },
+      status: { type: 'string', enum: EmailJob.EMAIL_STATUSES },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextAttemptAt: dateTime,
+      lastError: { type: 'string' },
+      sentAt: dateTime
+    }
+  },
+
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      seq: { type: 'integer' },
+      actorType: { type: 'string', enum: AuditLog.ACTOR_TYPES },
+      actor: objectId,
+      actorEmail: { type: 'string' },
+      actorRole: { type: 'string' },
+      action: { type: 'string', enum: AuditLog.AUDIT_ACTIONS },
+      targetType: { type: 'string' },
+      targetIds: { type: 'array', items: objectId },
+      ipAddress: { type: 'string' },
+      method: { type: 'string' },
+      path: { type: 'string' },
+      details: { type: 'object' },
+      createdAt: dateTime,
+      prevHash: { type: ['string', 'null'] },
+      hash: { type: 'string' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: User.ROLES },
+      isActive: { type: 'boolean' },
+      lastLoginAt: dateTime
+    }
+  },
+
+  TokenPair: {
+    type: 'object',
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      tokenType: { const: 'Bearer' },
+      expiresIn: { type: 'string' }
+    }
+  },
+
+  RetentionRule: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      action: { type: 'string' },
+      statuses: { type: 'array', items: { type: 'string', enum: Student.STATUSES } },
+      dateField: { type: 'string' },
+      olderThanDays: { type: 'integer' }
+    }
+  }
+};
+
+const parameters = {
+  studentId: { name: 'id', in: 'path', required: true, description: 'Student ID', schema: objectId },
+  documentId: { name: 'documentId', in: 'path', required: true, schema: objectId },
+  courseId: { name: 'id', in: 'path', required: true, description: 'Course ID', schema: objectId },
+  emailId: { name: 'id', in: 'path', required: true, description: 'Email job ID', schema: objectId },
+  limit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Page size (default 20, at most 100)',
+    schema: { type: 'integer', minimum: 1, 'x-message': 'limit must be a positive number' }
+  },
+  page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, 'x-message': 'page must be a positive number' } },
+  idempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    description: 'Client-generated key (e.g. a UUID) identifying this submission; results are kept for 24 hours',
+    schema: { type: 'string', pattern: '^[\\x21-\\x7e]{1,255}$' }
+  },
+  cursor: { name: 'cursor', in: 'query', description: 'nextCursor from the previous page', schema: { type: 'string' } },
+  includeTotal: { name: 'includeTotal', in: 'query', schema: { type: 'string', enum: ['true', 'false'] } },
+  // Filters shared by the student list, export and stats
+  status: { name: 'status', in: 'query', description: `One of ${Student.STATUSES.join(', ')} (any case)`, schema: { type: 'string' } },
+  course: { name: 'course', in: 'query', description: 'Course title (exact, case-insensitive)', schema: { type: 'string' } },
+  search: {
+    name: 'search',
+    in: 'query',
+    description: 'Free text plus field:value filters, e.g. `jane status:pending city:"Nairobi" enrolled:2025-01-01..2025-01-31`',
+    schema: { type: 'string', maxLength: 200 }
+  },
+  enrolledFrom: { name: 'enrolledFrom', in: 'query', schema: ref('DateParam') },
+  enrolledTo: { name: 'enrolledTo', in: 'query', schema: ref('DateParam') },
+  createdFrom: { name: 'createdFrom', in: 'query', schema: ref('DateParam') },
+  createdTo: { name: 'createdTo', in: 'query', schema: ref('DateParam') },
+  sort: {
+    name: 'sort',
+    in: 'query',
+    description: 'Field to sort by; prefix with - for descending (e.g. -createdAt)',
+    schema: { type: 'string' }
+  }
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: ref(schema) } }
+});
+
+const responses = {
+  BadRequest: errorResponse('Invalid request'),
+  ValidationFailed: errorResponse('The request failed validation; errors lists each field', 'ValidationError'),
+  Unauthorized: errorResponse('Missing, invalid or expired token'),
+  Forbidden: errorResponse('The user\'s role may not do this'),
+  NotFound: errorResponse('Not found'),
+  Conflict: errorResponse('Conflicts with the current state (code says why)'),
+  UnprocessableEntity: errorResponse('Well-formed but can\'t be processed (code says why)'),
+  TooManyRequests: errorResponse('Rate limit exceeded'),
+  ServerError: errorResponse('Unexpected server error')
+};
+
+const securitySchemes = {
+  staffAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Access token from POST /api/v1/auth/login'
+  },
+  applicantAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Applicant session token from POST /api/v1/applicant/verify/confirm'
+  }
+};
+
+module.exports = {
+  ref,
+  schemas,
+  parameters,
+  responses,
+  securitySchemes
+};
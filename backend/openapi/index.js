@@ -0,0 +1,59 @@
+// The OpenAPI document for the API, served at GET /openapi.json and used to
+// validate incoming requests (see middleware/validateRequest.js)
+const { schemas, parameters, responses, securitySchemes } = require('./components');
+const paths = require('./paths');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'EduPlatform Enrollment API',
+    version: '2.0.0',
+    description: 'Enrollment applications, applicant self-service and the staff back office. ' +
+      'Errors are { success: false, message, code? }; validation errors add errors: [{ field, message }]. ' +
+      'The unversioned /api/... paths are deprecated aliases of /api/v1/...'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'System' },
+    { name: 'Applications' },
+    { name: 'Auth' },
+    { name: 'Courses' },
+    { name: 'Applicant' },
+    { name: 'Students' },
+    { name: 'Documents' },
+    { name: 'Personal data' },
+    { name: 'Review links' },
+    { name: 'Emails' },
+    { name: 'Stats' },
+    { name: 'Duplicates' },
+    { name: 'Audit' },
+    { name: 'Retention' }
+  ],
+  paths,
+  components: { schemas, parameters, responses, securitySchemes }
+};
+
+// Escape a path for use in a JSON pointer (RFC 6901)
+const escapePointer = (segment) => segment.replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Every operation with its method, path and JSON pointer into the document
+const operations = Object.entries(paths).flatMap(([path, item]) => METHODS
+  .filter((method) => item[method])
+  .map((method) => ({
+    operationId: item[method].operationId,
+    method,
+    path,
+    pointer: `/paths/${escapePointer(path)}/${method}`,
+    operation: item[method],
+    pathParameters: item.parameters || []
+  })));
+
+const findOperation = (operationId) => operations.find((op) => op.operationId === operationId);
+
+module.exports = {
+  document,
+  operations,
+  findOperation
+};
@@ -0,0 +1,862 @@
+// Every route the API serves. operationIds are what routes pass to validateRequest().
+const Student = require('../models/Student');
+const AuditLog = require('../models/AuditLog');
+const Document = require('../models/Document');
+const { LOCALES } = require('../services/emailTemplates');
+const { MERGEABLE_FIELDS } = require('../services/duplicates');
+const { ref } = require('./components');
+
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const STAFF = [{ staffAuth: [] }];
+const APPLICANT = [{ applicantAuth: [] }];
+
+const jsonBody = (schema, { required = true } = {}) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const multipartBody = (schema) => ({
+  required: true,
+  content: { 'multipart/form-data': { schema } }
+});
+
+// Success envelope: { success: true, message?, data }
+const ok = (description, data) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: data
+        ? { allOf: [ref('Success'), { type: 'object', required: ['data'], properties: { data } }] }
+        : ref('Success')
+    }
+  }
+});
+
+const object = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+const STUDENT_FILTERS = ['status', 'course', 'search', 'enrolledFrom', 'enrolledTo', 'createdFrom', 'createdTo'].map(param);
+
+// Errors every staff-only operation can return
+const staffErrors = {
+  401: response('Unauthorized'),
+  403: response('Forbidden'),
+  500: response('ServerError')
+};
+
+const operation = ({ security, responses, ...rest }) => ({
+  ...rest,
+  ...(security ? { security } : { security: [] }),
+  responses: {
+    ...responses,
+    ...(security === STAFF ? staffErrors : { 500: response('ServerError') }),
+    ...(security === APPLICANT ? { 401: response('Unauthorized') } : {})
+  }
+});
+
+const paths = {
+  '/': {
+    get: operation({
+      operationId: 'getApiInfo',
+      tags: ['System'],
+      summary: 'API name, version and the list of endpoints',
+      responses: { 200: { description: 'API information' } }
+    })
+  },
+
+  '/api/v1/health': {
+    get: operation({
+      operationId: 'getHealth',
+      tags: ['System'],
+      summary: 'Health check',
+      responses: { 200: { description: 'Service health' } }
+    })
+  },
+
+  '/api/v1/health/config': {
+    get: operation({
+      operationId: 'getConfig',
+      tags: ['System'],
+      summary: 'The running configuration with secrets redacted (admin, when HEALTH_SHOW_CONFIG is on)',
+      security: STAFF,
+      responses: {
+        200: ok('Configuration', object({ profile: { type: 'string' }, config: { type: 'object' } })),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/openapi.json': {
+    get: operation({
+      operationId: 'getOpenApiDocument',
+      tags: ['System'],
+      summary: 'This OpenAPI document',
+      responses: { 200: { description: 'OpenAPI 3.1 document' } }
+    })
+  },
+
+  '/api/v1/enrollments': {
+    post: operation({
+      operationId: 'submitApplication',
+      tags: ['Applications'],
+      summary: 'Submit an enrollment application (the public form)',
+      description: 'Send an Idempotency-Key header to make retries safe: a retry with the same key and body ' +
+        'gets the original 201 response again (with Idempotent-Replayed: true) instead of a duplicate error. ' +
+        'Submissions that fail the anti-abuse checks (honeypot filled in, missing, reused or too fresh form token, ' +
+        'low CAPTCHA score) are accepted but held with status flagged for staff review; the response reads pending. ' +
+        'Disposable email addresses and failed CAPTCHAs are refused.',
+      parameters: [param('idempotencyKey')],
+      requestBody: jsonBody(ref('EnrollmentSubmission')),
+      responses: {
+        201: ok('Application received (status is waitlisted if the course is full)', object({
+          studentId: ref('ObjectId'),
+          applicationId: { type: 'string' },
+          email: { type: 'string' },
+          course: { type: 'string' },
+          status: { type: 'string', enum: Student.STATUSES },
+          submissionTime: { type: 'string', format: 'date-time' }
+        })),
+        400: {
+          description: 'Validation failed (errors lists each field), or code CAPTCHA_REQUIRED / CAPTCHA_FAILED',
+          content: { 'application/json': { schema: { anyOf: [ref('ValidationError'), ref('Error')] } } }
+        },
+        409: response('Conflict'),
+        422: response('UnprocessableEntity'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/v1/enrollments/form-token': {
+    get: operation({
+      operationId: 'getFormToken',
+      tags: ['Applications'],
+      summary: 'Signed form token and CAPTCHA settings, fetched when the enrollment form is shown',
+      description: 'Each token is good for one accepted submission; fetch a new one every time the form is shown.',
+      responses: {
+        200: ok('Form token', object({
+          formToken: { type: 'string' },
+          expiresIn: { type: 'string', description: 'Token lifetime, e.g. 2h' },
+          honeypotField: { type: 'string' },
+          minFillSeconds: { type: 'integer' },
+          captcha: {
+            type: ['object', 'null'],
+            properties: { provider: { type: 'string' }, siteKey: { type: ['string', 'null'] } }
+          }
+        }))
+      }
+    })
+  },
+
+  '/test-email': {
+    post: operation({
+      operationId: 'sendTestEmail',
+      tags: ['System'],
+      summary: 'Send a test email (not available in production)',
+      requestBody: jsonBody(object({ email: { type: 'string', format: 'email', 'x-message': 'Please provide a valid email address' } }), { required: false }),
+      responses: {
+        200: ok('Test email sent'),
+        400: response('ValidationFailed'),
+        403: response('Forbidden')
+      }
+    })
+  },
+
+  '/api/v1/auth/login': {
+    post: operation({
+      operationId: 'login',
+      tags: ['Auth'],
+      summary: 'Log in with email and password',
+      requestBody: jsonBody(object({
+        email: { type: 'string', format: 'email', 'x-message': 'Please provide a valid email address' },
+        password: { type: 'string', minLength: 1, 'x-message': 'Password is required' }
+      }, ['email', 'password'])),
+      responses: {
+        200: ok('Logged in', { allOf: [ref('TokenPair'), object({ user: ref('User') })] }),
+        400: response('ValidationFailed'),
+        401: response('Unauthorized'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/v1/auth/refresh': {
+    post: operation({
+      operationId: 'refreshToken',
+      tags: ['Auth'],
+      summary: 'Exchange a refresh token for a new token pair',
+      requestBody: jsonBody(object({ refreshToken: { type: 'string', minLength: 1, 'x-message': 'Refresh token is required' } }, ['refreshToken'])),
+      responses: {
+        200: ok('New token pair', ref('TokenPair')),
+        400: response('ValidationFailed'),
+        401: response('Unauthorized')
+      }
+    })
+  },
+
+  '/api/v1/auth/logout': {
+    post: operation({
+      operationId: 'logout',
+      tags: ['Auth'],
+      summary: 'Revoke a refresh token',
+      requestBody: jsonBody(object({ refreshToken: { type: 'string' } }), { required: false }),
+      responses: { 200: ok('Logged out') }
+    })
+  },
+
+  '/api/v1/auth/me': {
+    get: operation({
+      operationId: 'getCurrentUser',
+      tags: ['Auth'],
+      summary: 'The logged-in staff user',
+      security: STAFF,
+      responses: { 200: ok('Current user', object({ user: ref('User') })) }
+    })
+  },
+
+  '/api/v1/courses': {
+    get: operation({
+      operationId: 'listOpenCourses',
+      tags: ['Courses'],
+      summary: 'Courses currently accepting applications (for the enrollment form)',
+      responses: { 200: ok('Open courses', object({ courses: arrayOf(ref('Course')) })) }
+    }),
+    post: operation({
+      operationId: 'createCourse',
+      tags: ['Courses'],
+      summary: 'Create a course (admin)',
+      security: STAFF,
+      requestBody: jsonBody({ allOf: [ref('CourseInput'), { required: ['code', 'title', 'department'] }] }),
+      responses: {
+        201: ok('Course created', object({ course: ref('Course') })),
+        400: response('ValidationFailed'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/v1/courses/all': {
+    get: operation({
+      operationId: 'listAllCourses',
+      tags: ['Courses'],
+      summary: 'All courses, including closed and inactive ones',
+      security: STAFF,
+      responses: { 200: ok('Courses', object({ courses: arrayOf(ref('Course')) })) }
+    })
+  },
+
+  '/api/v1/courses/{id}': {
+    parameters: [param('courseId')],
+    get: operation({
+      operationId: 'getCourse',
+      tags: ['Courses'],
+      summary: 'A course and its waitlist length',
+      security: STAFF,
+      responses: {
+        200: ok('Course', object({ course: ref('Course'), waitlistLength: { type: 'integer' } })),
+        400: response('ValidationFailed'),
+        404: response('NotFound')
+      }
+    }),
+    patch: operation({
+      operationId: 'updateCourse',
+      tags: ['Courses'],
+      summary: 'Update a course (admin). More capacity promotes waitlisted applicants.',
+      security: STAFF,
+      requestBody: jsonBody(ref('CourseInput')),
+      responses: {
+        200: ok('Course updated', object({ course: ref('Course'), promotedFromWaitlist: { type: 'integer' } })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    }),
+    delete: operation({
+      operationId: 'deleteCourse',
+      tags: ['Courses'],
+      summary: 'Delete a course without applications (admin)',
+      security: STAFF,
+      responses: {
+        200: ok('Course deleted'),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/v1/applicant/verify/request': {
+    post: operation({
+      operationId: 'requestApplicantCode',
+      tags: ['Applicant'],
+      summary: 'Email a one-time code to the address on an application',
+      requestBody: jsonBody(object({
+        applicationId: { type: 'string', minLength: 1, description: 'Application ID from the confirmation email', 'x-message': 'Application ID is required' },
+        email: { type: 'string', format: 'email', 'x-message': 'Please provide a valid email address' }
+      }, ['applicationId', 'email'])),
+      responses: {
+        200: ok('Code sent if the details match'),
+        400: response('ValidationFailed'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/v1/applicant/verify/confirm': {
+    post: operation({
+      operationId: 'confirmApplicantCode',
+      tags: ['Applicant'],
+      summary: 'Exchange the code for an applicant session token',
+      requestBody: jsonBody(object({
+        applicationId: { type: 'string', minLength: 1, 'x-message': 'Application ID is required' },
+        email: { type: 'string', format: 'email', 'x-message': 'Please provide a valid email address' },
+        code: { type: 'string', pattern: '^\\s*\\d{6}\\s*$', 'x-message': 'The code is the 6 digits from the email' }
+      }, ['applicationId', 'email', 'code'])),
+      responses: {
+        200: ok('Verified', object({
+          token: { type: 'string' },
+          tokenType: { const: 'Bearer' },
+          expiresIn: { type: 'string' },
+          application: ref('ApplicantView')
+        })),
+        400: response('ValidationFailed'),
+        401: response('Unauthorized'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/v1/applicant/application': {
+    get: operation({
+      operationId: 'getOwnApplication',
+      tags: ['Applicant'],
+      summary: 'The verified applicant\'s application',
+      security: APPLICANT,
+      responses: { 200: ok('Application', object({ application: ref('ApplicantView') })) }
+    }),
+    patch: operation({
+      operationId: 'updateOwnApplication',
+      tags: ['Applicant'],
+      summary: 'Update contact details while the application is pending',
+      security: APPLICANT,
+      requestBody: jsonBody(ref('ApplicantUpdate')),
+      responses: {
+        200: ok('Application updated', object({ application: ref('ApplicantView') })),
+        400: response('ValidationFailed'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/v1/applicant/documents': {
+    get: operation({
+      operationId: 'listOwnDocuments',
+      tags: ['Applicant'],
+      summary: 'Documents the applicant has uploaded',
+      security: APPLICANT,
+      responses: { 200: ok('Documents', object({ documents: arrayOf(ref('Document')) })) }
+    }),
+    post: operation({
+      operationId: 'uploadOwnDocument',
+      tags: ['Applicant'],
+      summary: 'Upload a supporting document while the application is open',
+      security: APPLICANT,
+      requestBody: multipartBody(ref('DocumentUpload')),
+      responses: {
+        201: ok('Document uploaded', object({ document: ref('Document') })),
+        400: response('BadRequest'),
+        409: response('Conflict'),
+        413: response('BadRequest'),
+        415: response('BadRequest')
+      }
+    })
+  },
+
+  '/api/v1/students': {
+    get: operation({
+      operationId: 'listStudents',
+      tags: ['Students'],
+      summary: 'Applications, filtered, sorted and cursor-paginated',
+      security: STAFF,
+      parameters: [...STUDENT_FILTERS, param('sort'), param('cursor'), param('limit'), param('includeTotal')],
+      responses: {
+        200: ok('A page of applications', object({ students: arrayOf(ref('Student')), pagination: ref('CursorPagination') })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/students/export': {
+    get: operation({
+      operationId: 'exportStudents',
+      tags: ['Students'],
+      summary: 'Download the filtered list as CSV or Excel. Sensitive columns are masked for viewers.',
+      security: STAFF,
+      parameters: [
+        { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'xlsx'], 'x-message': 'Format must be one of: csv, xlsx' } },
+        { name: 'columns', in: 'query', description: 'Comma-separated column names', schema: { type: 'string' } },
+        ...STUDENT_FILTERS,
+        param('sort')
+      ],
+      responses: {
+        200: {
+          description: 'The file',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } }
+          }
+        },
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/students/import': {
+    post: operation({
+      operationId: 'importStudents',
+      tags: ['Students'],
+      summary: 'Import applications from a CSV file',
+      security: STAFF,
+      parameters: [
+        { name: 'dryRun', in: 'query', description: 'Check every row without saving', schema: { type: 'string', enum: ['true', 'false', '1', '0', 'yes', 'no'] } },
+        { name: 'notify', in: 'query', description: 'Send confirmation emails (default true)', schema: { type: 'string', enum: ['true', 'false', '1', '0', 'yes', 'no'] } }
+      ],
+      requestBody: multipartBody(object({ file: { type: 'string', contentMediaType: 'text/csv' } }, ['file'])),
+      responses: {
+        200: ok('Dry run report, or nothing was created'),
+        201: ok('Import report'),
+        400: response('BadRequest')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}': {
+    parameters: [param('studentId')],
+    get: operation({
+      operationId: 'getStudent',
+      tags: ['Students'],
+      summary: 'One application',
+      security: STAFF,
+      responses: {
+        200: ok('Application', object({ student: ref('Student') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/status': {
+    parameters: [param('studentId')],
+    patch: operation({
+      operationId: 'changeStudentStatus',
+      tags: ['Students'],
+      summary: 'Approve, reject, waitlist or reopen an application',
+      security: STAFF,
+      requestBody: jsonBody(object({
+        status: { type: 'string', enum: Student.STATUSES, 'x-message': `Status must be one of: ${Student.STATUSES.join(', ')}` },
+        reason: { type: 'string', maxLength: 500, description: 'Required when rejecting; sent to the applicant', 'x-message': 'Reason must be text of at most 500 characters' }
+      }, ['status'])),
+      responses: {
+        200: ok('Status changed', object({ student: ref('Student') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/documents': {
+    parameters: [param('studentId')],
+    get: operation({
+      operationId: 'listStudentDocuments',
+      tags: ['Documents'],
+      summary: 'Documents attached to an application',
+      security: STAFF,
+      responses: {
+        200: ok('Documents', object({ documents: arrayOf(ref('Document')) })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        410: response('NotFound')
+      }
+    }),
+    post: operation({
+      operationId: 'uploadStudentDocument',
+      tags: ['Documents'],
+      summary: 'Upload a document on the applicant\'s behalf',
+      security: STAFF,
+      requestBody: multipartBody(ref('DocumentUpload')),
+      responses: {
+        201: ok('Document uploaded', object({ document: ref('Document') })),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        410: response('NotFound'),
+        413: response('BadRequest'),
+        415: response('BadRequest')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/documents/{documentId}/download': {
+    parameters: [param('studentId'), param('documentId')],
+    get: operation({
+      operationId: 'downloadStudentDocument',
+      tags: ['Documents'],
+      summary: 'Download a stored document',
+      security: STAFF,
+      responses: {
+        200: { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/documents/{documentId}/verification': {
+    parameters: [param('studentId'), param('documentId')],
+    patch: operation({
+      operationId: 'verifyStudentDocument',
+      tags: ['Documents'],
+      summary: 'Verify or reject a document',
+      security: STAFF,
+      requestBody: jsonBody(object({
+        status: { type: 'string', enum: Document.VERIFICATION_STATUSES, 'x-message': `Verification status must be one of: ${Document.VERIFICATION_STATUSES.join(', ')}` },
+        note: { type: 'string', maxLength: 500, description: 'Required when rejecting' }
+      }, ['status'])),
+      responses: {
+        200: ok('Verification recorded', object({ document: ref('Document') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/personal-data': {
+    parameters: [param('studentId')],
+    get: operation({
+      operationId: 'exportPersonalData',
+      tags: ['Personal data'],
+      summary: 'Everything held about an applicant, as a JSON file (admin)',
+      security: STAFF,
+      responses: {
+        200: { description: 'Personal data bundle', content: { 'application/json': { schema: { type: 'object' } } } },
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/students/{id}/personal-data/erase': {
+    parameters: [param('studentId')],
+    post: operation({
+      operationId: 'erasePersonalData',
+      tags: ['Personal data'],
+      summary: 'Erase an applicant\'s personal data, keeping an anonymized record (admin)',
+      security: STAFF,
+      requestBody: jsonBody(object({
+        reason: { type: 'string', pattern: '\\S', maxLength: 500, description: 'e.g. the request reference', 'x-message': 'A reason is required when erasing personal data' }
+      }, ['reason'])),
+      responses: {
+        200: ok('Erased', object({ student: ref('Student'), summary: { type: 'object' } })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/review/{token}': {
+    parameters: [{ name: 'token', in: 'path', required: true, description: 'Signed link token from the admin notification email', schema: { type: 'string' } }],
+    get: operation({
+      operationId: 'showReviewPage',
+      tags: ['Review links'],
+      summary: 'Page for a review link (viewing never changes the application)',
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    }),
+    post: operation({
+      operationId: 'submitReviewDecision',
+      tags: ['Review links'],
+      summary: 'Apply the approve/reject decision of a review link',
+      requestBody: {
+        content: { 'application/x-www-form-urlencoded': { schema: object({ reason: { type: 'string', maxLength: 500 } }) } }
+      },
+      responses: { 200: { description: 'HTML confirmation page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    })
+  },
+
+  '/api/v1/emails/dead-letter': {
+    get: operation({
+      operationId: 'listDeadLetterEmails',
+      tags: ['Emails'],
+      summary: 'Emails that failed all delivery attempts (admin)',
+      security: STAFF,
+      parameters: [param('page'), param('limit'), { name: 'type', in: 'query', schema: { type: 'string' } }],
+      responses: {
+        200: ok('A page of emails', object({ emails: arrayOf(ref('EmailJob')), pagination: ref('PagePagination') })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/emails/stats': {
+    get: operation({
+      operationId: 'getEmailQueueStats',
+      tags: ['Emails'],
+      summary: 'Number of emails in each queue state (admin)',
+      security: STAFF,
+      responses: { 200: ok('Counts by status', object({ stats: { type: 'object', additionalProperties: { type: 'integer' } } })) }
+    })
+  },
+
+  '/api/v1/emails/{id}': {
+    parameters: [param('emailId')],
+    get: operation({
+      operationId: 'getEmail',
+      tags: ['Emails'],
+      summary: 'One email including body and failure history (admin)',
+      security: STAFF,
+      responses: {
+        200: ok('Email', object({ email: ref('EmailJob') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/emails/{id}/resend': {
+    parameters: [param('emailId')],
+    post: operation({
+      operationId: 'resendEmail',
+      tags: ['Emails'],
+      summary: 'Requeue a failed email whose content is still stored (admin)',
+      security: STAFF,
+      responses: {
+        200: ok('Email requeued', object({ email: ref('EmailJob') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/v1/templates': {
+    get: operation({
+      operationId: 'listEmailTemplates',
+      tags: ['Emails'],
+      summary: 'Email templates and locales (admin/registrar)',
+      security: STAFF,
+      responses: { 200: ok('Templates', object({ templates: arrayOf({ type: 'string' }), locales: arrayOf({ type: 'string' }) })) }
+    })
+  },
+
+  '/api/v1/templates/{name}/preview': {
+    parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]+$' } }],
+    get: operation({
+      operationId: 'previewEmailTemplate',
+      tags: ['Emails'],
+      summary: 'Render a template against a sample student (admin/registrar)',
+      security: STAFF,
+      parameters: [
+        { name: 'locale', in: 'query', schema: { type: 'string', enum: LOCALES, 'x-message': `Locale must be one of: ${LOCALES.join(', ')}` } },
+        { name: 'format', in: 'query', schema: { type: 'string', enum: ['html', 'text', 'json'] } }
+      ],
+      responses: {
+        200: { description: 'Rendered email (HTML, text or JSON)' },
+        400: response('ValidationFailed'),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/stats': {
+    get: operation({
+      operationId: 'getEnrollmentStats',
+      tags: ['Stats'],
+      summary: 'Counts, funnel, time series and decision times for a date range',
+      security: STAFF,
+      parameters: [
+        { name: 'from', in: 'query', schema: ref('DateParam') },
+        { name: 'to', in: 'query', schema: ref('DateParam') },
+        { name: 'interval', in: 'query', schema: { type: 'string', enum: ['day', 'week'] } },
+        ...STUDENT_FILTERS
+      ],
+      responses: {
+        200: ok('Enrollment statistics', object({ stats: { type: 'object' } })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/duplicates': {
+    get: operation({
+      operationId: 'listPossibleDuplicates',
+      tags: ['Duplicates'],
+      summary: 'Applications flagged as possible duplicates',
+      security: STAFF,
+      parameters: [param('page'), param('limit')],
+      responses: {
+        200: ok('A page of flagged applications', object({ students: arrayOf(ref('Student')), pagination: ref('PagePagination') })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/duplicates/{id}/check': {
+    parameters: [param('studentId')],
+    post: operation({
+      operationId: 'checkDuplicates',
+      tags: ['Duplicates'],
+      summary: 'Re-run duplicate detection for one application',
+      security: STAFF,
+      responses: {
+        200: ok('Result of the check', object({ duplicateCheck: ref('DuplicateCheck') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/duplicates/{id}/dismiss': {
+    parameters: [param('studentId')],
+    post: operation({
+      operationId: 'dismissDuplicateFlag',
+      tags: ['Duplicates'],
+      summary: 'Clear a possible-duplicate flag',
+      security: STAFF,
+      responses: {
+        200: ok('Flag dismissed', object({ student: ref('Student') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/v1/duplicates/{id}/merge': {
+    parameters: [param('studentId')],
+    post: operation({
+      operationId: 'mergeDuplicate',
+      tags: ['Duplicates'],
+      summary: 'Merge a duplicate application into this one (admin)',
+      security: STAFF,
+      requestBody: jsonBody(object({
+        duplicateId: ref('ObjectId'),
+        takeFields: {
+          type: 'array',
+          uniqueItems: true,
+          items: { type: 'string', enum: MERGEABLE_FIELDS, 'x-message': `Mergeable fields: ${MERGEABLE_FIELDS.join(', ')}` },
+          description: 'Fields to copy from the duplicate'
+        }
+      }, ['duplicateId'])),
+      responses: {
+        200: ok('Merged', object({ student: ref('Student') })),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        410: response('NotFound')
+      }
+    })
+  },
+
+  '/api/v1/audit': {
+    get: operation({
+      operationId: 'listAuditEntries',
+      tags: ['Audit'],
+      summary: 'Audit log of reads and changes to applicant data (admin)',
+      security: STAFF,
+      parameters: [
+        { name: 'actor', in: 'query', schema: ref('ObjectId') },
+        { name: 'actorEmail', in: 'query', schema: { type: 'string' } },
+        { name: 'action', in: 'query', schema: { type: 'string', enum: AuditLog.AUDIT_ACTIONS } },
+        { name: 'targetId', in: 'query', schema: ref('ObjectId') },
+        { name: 'from', in: 'query', schema: ref('DateParam') },
+        { name: 'to', in: 'query', schema: ref('DateParam') },
+        param('cursor'),
+        param('limit'),
+        param('includeTotal')
+      ],
+      responses: {
+        200: ok('A page of entries, newest first', object({ entries: arrayOf(ref('AuditEntry')), pagination: ref('CursorPagination') })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/audit/verify': {
+    get: operation({
+      operationId: 'verifyAuditLog',
+      tags: ['Audit'],
+      summary: 'Check the audit log hash chain for tampering (admin)',
+      description: 'Also checks the chain against the checkpoint (see AUDIT_CHECKPOINT_STORE) and, when given, a head (seq and hash) recorded outside the database, so deleted recent entries are detected.',
+      security: STAFF,
+      parameters: [
+        { name: 'seq', in: 'query', schema: { type: 'integer', minimum: 1 } },
+        { name: 'hash', in: 'query', schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } }
+      ],
+      responses: {
+        200: ok('Chain check result', object({
+          valid: { type: 'boolean' },
+          checked: { type: 'integer' },
+          brokenAt: { type: 'integer' },
+          problem: { type: 'string' },
+          head: { type: ['object', 'null'], properties: { seq: { type: 'integer' }, hash: { type: 'string' } } }
+        })),
+        400: response('ValidationFailed')
+      }
+    })
+  },
+
+  '/api/v1/retention/report': {
+    get: operation({
+      operationId: 'getRetentionReport',
+      tags: ['Retention'],
+      summary: 'Dry run of the data retention rules: what each would affect now (admin)',
+      security: STAFF,
+      responses: {
+        200: ok('Report', object({
+          generatedAt: { type: 'string', format: 'date-time' },
+          rules: arrayOf({ allOf: [ref('RetentionRule'), object({ cutoff: { type: 'string', format: 'date-time' }, matched: { type: 'integer' }, nextRun: { type: 'integer' } })] })
+        }))
+      }
+    })
+  },
+
+  '/api/v1/retention/run': {
+    post: operation({
+      operationId: 'runRetention',
+      tags: ['Retention'],
+      summary: 'Apply the data retention rules now (admin)',
+      description: 'Irreversible: matching applications are anonymized. Refused while RETENTION_ENABLED is off.',
+      security: STAFF,
+      requestBody: jsonBody(object({
+        confirm: { const: true, description: 'Must be true, to confirm the run', 'x-message': 'Set confirm to true to apply the retention rules' }
+      }, ['confirm'])),
+      responses: {
+        200: ok('What each rule did', object({ ranAt: { type: 'string', format: 'date-time' }, results: arrayOf({ type: 'object' }) })),
+        400: response('ValidationFailed'),
+        409: response('Conflict')
+      }
+    })
+  }
+};
+
+// Legacy unversioned paths still served as aliases (as is every /api/... path without /v1)
+const legacyAlias = (operation, operationId, successor) => ({
+  ...operation,
+  operationId,
+  deprecated: true,
+  description: `Deprecated alias of ${successor}. Responses carry Deprecation and Link headers.`
+});
+
+paths['/send'] = { post: legacyAlias(paths['/api/v1/enrollments'].post, 'submitApplicationLegacy', 'POST /api/v1/enrollments') };
+paths['/api/route'] = { post: legacyAlias(paths['/api/v1/enrollments'].post, 'submitApplicationRouteLegacy', 'POST /api/v1/enrollments') };
+paths['/health'] = { get: legacyAlias(paths['/api/v1/health'].get, 'getHealthLegacy', 'GET /api/v1/health') };
+
+module.exports = paths;
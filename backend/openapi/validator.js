@@ -0,0 +1,79 @@
+// Ajv validators compiled from the OpenAPI document, and conversion of their
+// errors to the API's { field, message } shape
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document } = require('./index');
+
+const DOCUMENT_ID = 'openapi';
+
+const createAjv = (options = {}) => {
+  // strict: false because the document carries OpenAPI keywords (x-message, example, ...)
+  const ajv = new Ajv2020({ allErrors: true, strict: false, verbose: true, ...options });
+  addFormats(ajv);
+  ajv.addSchema(document, DOCUMENT_ID);
+  return ajv;
+};
+
+// Bodies are validated as sent; path and query values are strings, so they are coerced first
+const bodyAjv = createAjv();
+const paramAjv = createAjv({ coerceTypes: true });
+
+const compiled = new Map();
+
+// Validator for the schema at a JSON pointer in the document
+const compileAt = (pointer) => {
+  if (!compiled.has(pointer)) {
+    compiled.set(pointer, bodyAjv.compile({ $ref: `${DOCUMENT_ID}#${pointer}` }));
+  }
+  return compiled.get(pointer);
+};
+
+// Validator for an object of path or query parameters (schemas $ref the document)
+const compileParameters = (schema) => paramAjv.compile(schema);
+
+const joinField = (base, name) => (base ? `${base}.${name}` : name);
+
+// One error per field, preferring the field's own x-message over Ajv's wording
+const toFieldErrors = (errors, { prefix = '' } = {}) => {
+  const byField = new Map();
+
+  (errors || []).forEach((error) => {
+    let field = joinField(prefix, error.instancePath.split('/').slice(1).join('.'));
+    let message;
+
+    if (error.keyword === 'required') {
+      field = joinField(field, error.params.missingProperty);
+      message = `${field} is required`;
+    } else if (error.keyword === 'additionalProperties') {
+      field = joinField(field, error.params.additionalProperty);
+      message = `${field} is not allowed`;
+    } else if (error.parentSchema && error.parentSchema['x-message']) {
+      message = error.parentSchema['x-message'];
+    } else {
+      message = `${field || 'Request'} ${error.message}`;
+    }
+
+    const existing = byField.get(field);
+    // Keep the first message for a field unless a later one is the field's own wording
+    if (!existing || (!existing.custom && error.parentSchema && error.parentSchema['x-message'])) {
+      byField.set(field, { field, message, custom: Boolean(error.parentSchema && error.parentSchema['x-message']) });
+    }
+  });
+
+  return [...byField.values()].map(({ field, message }) => ({ field, message }));
+};
+
+// Check a value against one of the named schemas in components/schemas;
+// returns the field errors (empty when valid)
+const validateSchema = (name, value, options) => {
+  const validate = compileAt(`/components/schemas/${name}`);
+  return validate(value) ? [] : toFieldErrors(validate.errors, options);
+};
+
+module.exports = {
+  DOCUMENT_ID,
+  compileAt,
+  compileParameters,
+  toFieldErrors,
+  validateSchema
+};
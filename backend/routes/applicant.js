@@ -0,0 +1,284 @@
+const express = require('express');
+const Student = require('../models/Student');
+const { ENCRYPTED_FIELDS } = require('../models/Student');
+const Document = require('../models/Document');
+const { authenticateApplicant } = require('../middleware/auth');
+const { uploadDocument } = require('../middleware/upload');
+const { rateLimiter } = require('../middleware/rateLimit');
+const { saveDocument } = require('../services/documents');
+const { requestCode, verifyCode } = require('../services/applicantVerification');
+const { APPLICANT_TOKEN_TTL, signApplicantToken } = require('../utils/tokens');
+const { sanitizeBody, validateRequest } = require('../middleware/validateRequest');
+const { fieldErrors } = require('../utils/validation');
+const { recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+// Fields an applicant may change while the application is still pending
+const EDITABLE_FIELDS = ['phone', 'address', 'city', 'zipCode', 'emergencyContact', 'emergencyPhone'];
+
+// Verification rate limiting (codes are emailed, so keep this tight)
+const verifyLimiter = rateLimiter('applicantVerify');
+
+// What the applicant is allowed to see about their own application
+const toApplicantView = (student) => ({
+  applicationId: student._id.toString().slice(-8).toUpperCase(),
+  firstName: student.firstName,
+  lastName: student.lastName,
+  email: student.email,
+  phone: student.phone,
+  course: student.course,
+  address: student.address,
+  city: student.city,
+  zipCode: student.zipCode,
+  emergencyContact: student.emergencyContact,
+  emergencyPhone: student.emergencyPhone,
+  preferredLanguage: student.preferredLanguage,
+  // Flagged applications look pending to the applicant, like in the submission response
+  status: student.status === 'flagged' ? 'pending' : student.status,
+  submittedAt: student.enrollmentDate,
+  statusHistory: (student.statusHistory || []).map((entry) => ({
+    status: entry.to,
+    changedAt: entry.changedAt,
+    ...(entry.to === 'rejected' && entry.reason ? { reason: entry.reason } : {})
+  })),
+  editHistory: (student.editHistory || []).map((entry) => ({
+    fields: entry.changes.map((change) => change.field),
+    editedAt: entry.editedAt
+  })),
+  canEdit: student.status === 'pending',
+  editableFields: student.status === 'pending' ? EDITABLE_FIELDS : []
+});
+
+// Step 1: email a one-time code to the address on the application
+router.post('/verify/request', verifyLimiter, validateRequest('requestApplicantCode'), async (req, res) => {
+  try {
+    const { applicationId, email } = req.body;
+    await requestCode(applicationId, email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'If the details match an application, a verification code has been sent to that email address.'
+    });
+  } catch (error) {
+    console.error('❌ Verification request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification code'
+    });
+  }
+});
+
+// Step 2: exchange the code for a short-lived session token
+router.post('/verify/confirm', verifyLimiter, validateRequest('confirmApplicantCode'), async (req, res) => {
+  try {
+    const { applicationId, email, code } = req.body;
+    const student = await verifyCode(applicationId, email, code);
+    await recordAudit({
+      req,
+      actor: { actorType: 'applicant', actor: student._id },
+      action: 'applicant.view',
+      targetIds: student._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: {
+        token: signApplicantToken(student),
+        tokenType: 'Bearer',
+        expiresIn: APPLICANT_TOKEN_TTL,
+        application: toApplicantView(student)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying code'
+    });
+  }
+});
+
+// Current status of the verified application
+router.get('/application', authenticateApplicant, async (req, res) => {
+  await recordAudit({ req, action: 'applicant.view', targetIds: req.student._id });
+  res.json({
+    success: true,
+    data: { application: toApplicantView(req.student) }
+  });
+});
+
+// Update contact details while the application is pending
+router.patch('/application', authenticateApplicant, sanitizeBody, validateRequest('updateOwnApplication'), async (req, res) => {
+  try {
+    const student = req.student;
+
+    if (student.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Applications that are ${student.status} can no longer be edited. Please contact the admissions office.`,
+        code: 'APPLICATION_LOCKED'
+      });
+    }
+
+    const updates = {};
+    const changes = [];
+    for (const field of EDITABLE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value !== student[field]) {
+        updates[field] = value;
+        // Values of encrypted fields are not copied into the history in the clear
+        changes.push(ENCRYPTED_FIELDS.includes(field) ? { field } : { field, from: student[field], to: value });
+      }
+    }
+
+    if (changes.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        data: { application: toApplicantView(student) }
+      });
+    }
+
+    // Only save if the application is still pending at this moment
+    const updated = await Student.findOneAndUpdate(
+      { _id: student._id, status: 'pending' },
+      {
+        $set: updates,
+        $push: {
+          editHistory: {
+            changes,
+            editedBy: 'applicant',
+            ipAddress: req.ip,
+            editedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your application has just been reviewed and can no longer be edited.',
+        code: 'APPLICATION_LOCKED'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'applicant.update',
+      targetIds: updated._id,
+      details: { fields: changes.map((change) => change.field) }
+    });
+
+    console.log(`✏️ Applicant updated ${changes.map((c) => c.field).join(', ')} on application ${updated._id}`);
+
+    res.json({
+      success: true,
+      message: 'Application updated successfully',
+      data: { application: toApplicantView(updated) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: fieldErrors(error)
+      });
+    }
+
+    console.error('❌ Applicant update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application'
+    });
+  }
+});
+
+// Documents the applicant has uploaded and their verification status
+router.get('/documents', authenticateApplicant, async (req, res) => {
+  try {
+    const documents = await Document.find({ student: req.student._id })
+      .select('type originalName mimeType size verificationStatus verificationNote createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { documents }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching applicant documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching documents'
+    });
+  }
+});
+
+// Upload a supporting document (multipart: file + type) while the application is open
+router.post('/documents', authenticateApplicant, uploadDocument, async (req, res) => {
+  try {
+    if (!['pending', 'waitlisted', 'flagged'].includes(req.student.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Documents can no longer be added to an application that is ${req.student.status}.`,
+        code: 'APPLICATION_LOCKED'
+      });
+    }
+
+    const document = await saveDocument(req.student, req.file, {
+      type: req.body.type,
+      uploadedBy: 'applicant'
+    });
+    await recordAudit({
+      req,
+      action: 'document.upload',
+      targetIds: req.student._id,
+      details: { document: document._id, type: document.type }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: {
+        document: {
+          _id: document._id,
+          type: document.type,
+          originalName: document.originalName,
+          mimeType: document.mimeType,
+          size: document.size,
+          verificationStatus: document.verificationStatus,
+          createdAt: document.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Applicant document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading document'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticate, authorize } = require('../middleware/auth');
+const { paginate, parsePageSize } = require('../services/pagination');
+const { verifyAuditChain } = require('../services/auditLog');
+const { parseDateParam } = require('../utils/dates');
+const httpError = require('../utils/httpError');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const objectIdParam = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(String(value))) {
+    throw httpError(400, `${name} must be a valid ID`, 'INVALID_ID');
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+// Audit filter from the query string
+const buildAuditFilter = (params) => {
+  const filter = {};
+
+  if (params.actor) filter.actor = objectIdParam(params.actor, 'actor');
+  if (params.actorEmail) filter.actorEmail = String(params.actorEmail).toLowerCase();
+  if (params.targetId) filter.targetIds = objectIdParam(params.targetId, 'targetId');
+
+  if (params.action) {
+    const action = String(params.action);
+    if (!AuditLog.AUDIT_ACTIONS.includes(action)) {
+      throw httpError(400, `Action must be one of: ${AuditLog.AUDIT_ACTIONS.join(', ')}`, 'INVALID_ACTION');
+    }
+    filter.action = action;
+  }
+
+  const createdAt = {};
+  if (params.from) createdAt.$gte = parseDateParam(params.from, 'from');
+  if (params.to) createdAt.$lte = parseDateParam(params.to, 'to', { endOfDay: true });
+  if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+
+  return filter;
+};
+
+// Audit entries, newest first
+// ?actor=&actorEmail=&action=&targetId=&from=&to=&limit=&cursor=
+router.get('/', validateRequest('listAuditEntries'), async (req, res) => {
+  try {
+    const { documents: entries, pagination } = await paginate(AuditLog, {
+      filter: buildAuditFilter(req.query),
+      sortField: 'seq',
+      sortDirection: -1,
+      cursor: req.query.cursor,
+      limit: parsePageSize(req.query.limit),
+      includeTotal: req.query.includeTotal === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: { entries, pagination }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching audit log');
+  }
+});
+
+// Recompute the hash chain to detect edited or deleted entries.
+// ?seq=&hash= also checks against a head kept outside the database.
+router.get('/verify', validateRequest('verifyAuditLog'), async (req, res) => {
+  try {
+    if (Boolean(req.query.seq) !== Boolean(req.query.hash)) {
+      throw httpError(400, 'seq and hash must be given together', 'INVALID_ANCHOR');
+    }
+    const anchor = req.query.seq ? { seq: Number(req.query.seq), hash: String(req.query.hash) } : undefined;
+    const result = await verifyAuditChain({ anchor });
+
+    if (!result.valid) {
+      console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}: ${result.problem}`);
+    }
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries checked)`
+        : `Audit log has been tampered with at entry ${result.brokenAt}: ${result.problem}`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error verifying audit log');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { rateLimiter } = require('../middleware/rateLimit');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken
+} = require('../utils/tokens');
+
+const router = express.Router();
+
+// Login rate limiting (protects against password guessing; applies to allowlisted networks too)
+const loginLimiter = rateLimiter('login');
+
+// Issue a new access/refresh token pair and store the refresh token ID
+const issueTokens = async (user) => {
+  const refresh = signRefreshToken(user);
+  const now = new Date();
+
+  await User.updateOne({ _id: user._id }, {
+    $pull: { refreshTokens: { expiresAt: { $lte: now } } }
+  });
+  await User.updateOne({ _id: user._id }, {
+    $push: { refreshTokens: { tokenId: refresh.tokenId, expiresAt: refresh.expiresAt } }
+  });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Log in with email and password
+router.post('/login', loginLimiter, validateRequest('login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+passwordHash');
+    const passwordMatches = user ? await user.verifyPassword(password) : false;
+
+    if (!user || !passwordMatches || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const tokens = await issueTokens(user);
+
+    console.log('🔑 User logged in:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+router.post('/refresh', validateRequest('refreshToken'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Atomically consume the token ID so it cannot be replayed
+    const user = await User.findOneAndUpdate(
+      { _id: payload.sub, isActive: true, 'refreshTokens.tokenId': payload.jti },
+      { $pull: { refreshTokens: { tokenId: payload.jti } } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const tokens = await issueTokens(user);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+});
+
+// Log out by revoking the given refresh token
+router.post('/logout', validateRequest('logout'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      try {
+        const payload = verifyRefreshToken(refreshToken);
+        await User.updateOne(
+          { _id: payload.sub },
+          { $pull: { refreshTokens: { tokenId: payload.jti } } }
+        );
+      } catch (error) {
+        // Expired or invalid tokens are already unusable
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// Current user profile
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: { user: req.user }
+  });
+});
+
+module.exports = router;
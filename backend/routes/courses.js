@@ -0,0 +1,210 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const { authenticate, authorize } = require('../middleware/auth');
+const { recountSeats } = require('../services/courseSeats');
+const { promoteFromWaitlist } = require('../services/applicationStatus');
+const { validateRequest } = require('../middleware/validateRequest');
+const { fieldErrors } = require('../utils/validation');
+
+const router = express.Router();
+
+// Fields admins may set; seatsTaken is maintained by the application workflow
+const EDITABLE_FIELDS = [
+  'code', 'title', 'department', 'description', 'capacity',
+  'applicationOpens', 'applicationCloses', 'termStart', 'termEnd', 'isActive'
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue)[0];
+    return res.status(409).json({
+      success: false,
+      message: `A course with this ${field} already exists`,
+      code: 'DUPLICATE_ENTRY'
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: fieldErrors(error)
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Public list of courses currently accepting applications (for the enrollment form)
+router.get('/', async (req, res) => {
+  try {
+    const now = new Date();
+    const courses = await Course.find({
+      isActive: true,
+      $and: [
+        { $or: [{ applicationOpens: null }, { applicationOpens: { $lte: now } }] },
+        { $or: [{ applicationCloses: null }, { applicationCloses: { $gte: now } }] }
+      ]
+    })
+      .select('code title department description capacity seatsTaken applicationCloses termStart termEnd isActive applicationOpens')
+      .sort({ title: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        courses: courses.map((course) => ({
+          _id: course._id,
+          code: course.code,
+          title: course.title,
+          department: course.department,
+          description: course.description,
+          applicationCloses: course.applicationCloses,
+          termStart: course.termStart,
+          termEnd: course.termEnd,
+          seatsAvailable: course.seatsAvailable,
+          // Applicants can still apply to a full course; they join the waitlist
+          isFull: course.isFull
+        }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching courses');
+  }
+});
+
+// All courses including closed and inactive ones (staff)
+router.get('/all', authenticate, authorize('admin', 'registrar', 'viewer'), async (req, res) => {
+  try {
+    const courses = await Course.find().select('-__v').sort({ title: 1 });
+    res.json({
+      success: true,
+      data: { courses }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching courses');
+  }
+});
+
+router.get('/:id', authenticate, authorize('admin', 'registrar', 'viewer'), validateRequest('getCourse'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('-__v');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const waitlistLength = await Student.countDocuments({ courseId: course._id, status: 'waitlisted' });
+
+    res.json({
+      success: true,
+      data: { course, waitlistLength }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching course');
+  }
+});
+
+router.post('/', authenticate, authorize('admin'), validateRequest('createCourse'), async (req, res) => {
+  try {
+    const course = await Course.create(pickEditable(req.body));
+
+    console.log(`📚 Course created: ${course.code} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: { course }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating course');
+  }
+});
+
+router.patch('/:id', authenticate, authorize('admin'), validateRequest('updateCourse'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const changes = pickEditable(req.body);
+    const renamed = changes.title !== undefined && changes.title !== course.title;
+    course.set(changes);
+    await course.save();
+
+    // Keep the denormalised course title on applications in sync
+    if (renamed) {
+      await Student.updateMany({ courseId: course._id }, { $set: { course: course.title } });
+    }
+
+    // More capacity may free seats for waitlisted applicants
+    let promoted = [];
+    if (changes.capacity !== undefined) {
+      await recountSeats(course._id);
+      promoted = await promoteFromWaitlist(course._id);
+    }
+
+    const updated = await Course.findById(course._id).select('-__v');
+
+    console.log(`📚 Course updated: ${updated.code} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: { course: updated, promotedFromWaitlist: promoted.length }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating course');
+  }
+});
+
+// Courses with applications can only be deactivated, not deleted
+router.delete('/:id', authenticate, authorize('admin'), validateRequest('deleteCourse'), async (req, res) => {
+  try {
+    const applications = await Student.countDocuments({ courseId: req.params.id });
+    if (applications > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This course has ${applications} application(s). Deactivate it instead by setting isActive to false.`,
+        code: 'COURSE_IN_USE'
+      });
+    }
+
+    const course = await Course.findByIdAndDelete(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    console.log(`📚 Course deleted: ${course.code} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting course');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const Student = require('../models/Student');
+const Document = require('../models/Document');
+const { authenticate, authorize } = require('../middleware/auth');
+const { uploadDocument } = require('../middleware/upload');
+const { saveDocument, openDocument, setVerification } = require('../services/documents');
+const { recordAudit } = require('../services/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { fieldErrors } = require('../utils/validation');
+
+// Mounted at /api/v1/students/:id/documents
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: fieldErrors(error)
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Load the application from :id into req.student (IDs are checked by validateRequest first).
+// An erased application's documents are gone and no new ones may be added.
+const loadStudent = async (req, res, next) => {
+  try {
+    req.student = await Student.findById(req.params.id).select('_id status erasedAt');
+    if (!req.student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    if (req.student.erasedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This applicant\'s personal data has been erased',
+        code: 'APPLICATION_ERASED'
+      });
+    }
+    next();
+  } catch (error) {
+    sendError(res, error, 'Error fetching student data');
+  }
+};
+
+// Documents attached to an application
+router.get('/', authorize('admin', 'registrar', 'viewer'), validateRequest('listStudentDocuments'), loadStudent, async (req, res) => {
+  try {
+    const documents = await Document.find({ student: req.student._id })
+      .select('-__v')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { documents }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching documents');
+  }
+});
+
+// Upload a document on the applicant's behalf (multipart: file + type)
+router.post('/', authorize('admin', 'registrar'), validateRequest('uploadStudentDocument'), loadStudent, uploadDocument, async (req, res) => {
+  try {
+    const document = await saveDocument(req.student, req.file, {
+      type: req.body.type,
+      uploadedBy: 'staff'
+    });
+    await recordAudit({
+      req,
+      action: 'document.upload',
+      targetIds: req.student._id,
+      details: { document: document._id, type: document.type }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: { document }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error uploading document');
+  }
+});
+
+// Download the stored file
+router.get('/:documentId/download', authorize('admin', 'registrar'), validateRequest('downloadStudentDocument'), loadStudent, async (req, res) => {
+  try {
+    const { document, stream } = await openDocument(req.student._id, req.params.documentId);
+    const fileName = document.originalName.replace(/[^\w.\- ]/g, '_');
+    await recordAudit({
+      req,
+      action: 'document.download',
+      targetIds: req.student._id,
+      details: { document: document._id, type: document.type }
+    });
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': document.size,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      console.error('❌ Error streaming document:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is missing from storage',
+        code: 'FILE_MISSING'
+      });
+    }
+    sendError(res, error, 'Error downloading document');
+  }
+});
+
+// Set a document's verification status (pending / verified / rejected)
+router.patch('/:documentId/verification', authorize('admin', 'registrar'), validateRequest('verifyStudentDocument'), loadStudent, async (req, res) => {
+  try {
+    const document = await setVerification(req.student._id, req.params.documentId, {
+      status: req.body.status,
+      note: req.body.note,
+      actor: req.user
+    });
+    await recordAudit({
+      req,
+      action: 'document.verify',
+      targetIds: req.student._id,
+      details: { document: document._id, status: document.verificationStatus }
+    });
+
+    res.json({
+      success: true,
+      message: `Document marked as ${document.verificationStatus}`,
+      data: { document }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating document verification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const Student = require('../models/Student');
+const { authenticate, authorize } = require('../middleware/auth');
+const { flagPossibleDuplicates, dismissDuplicateFlag, mergeStudents } = require('../services/duplicates');
+const { recordAudit } = require('../services/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+const { fieldErrors } = require('../utils/validation');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: fieldErrors(error)
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const MATCH_FIELDS = 'firstName lastName email phone dateOfBirth course status enrollmentDate';
+
+// Applications flagged as possible duplicates, with the applications they match
+router.get('/', authorize('admin', 'registrar'), validateRequest('listPossibleDuplicates'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { 'duplicateCheck.status': 'flagged' };
+
+    const [students, total] = await Promise.all([
+      Student.find(query)
+        .select(`${MATCH_FIELDS} duplicateCheck`)
+        .populate('duplicateCheck.matches.student', MATCH_FIELDS)
+        .sort({ 'duplicateCheck.checkedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Student.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        students,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching possible duplicates');
+  }
+});
+
+// Re-run duplicate detection for one application
+router.post('/:id/check', authorize('admin', 'registrar'), validateRequest('checkDuplicates'), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const matches = await flagPossibleDuplicates(student);
+
+    res.json({
+      success: true,
+      message: matches.length > 0
+        ? `Found ${matches.length} possible duplicate(s)`
+        : 'No possible duplicates found',
+      data: { duplicateCheck: student.duplicateCheck }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error checking for duplicates');
+  }
+});
+
+// Not a duplicate: clear the flag
+router.post('/:id/dismiss', authorize('admin', 'registrar'), validateRequest('dismissDuplicateFlag'), async (req, res) => {
+  try {
+    const student = await dismissDuplicateFlag(req.params.id, { actor: req.user });
+    await recordAudit({ req, action: 'student.duplicate-dismiss', targetIds: student._id });
+
+    res.json({
+      success: true,
+      message: 'Duplicate flag dismissed',
+      data: { student }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error dismissing duplicate flag');
+  }
+});
+
+// Merge another application into this one
+// Body: { duplicateId, takeFields: ['email', 'phone'] } (fields to copy from the duplicate)
+router.post('/:id/merge', authorize('admin'), validateRequest('mergeDuplicate'), async (req, res) => {
+  try {
+    const student = await mergeStudents(req.params.id, req.body.duplicateId, {
+      actor: req.user,
+      takeFields: req.body.takeFields
+    });
+    await recordAudit({
+      req,
+      action: 'student.merge',
+      targetIds: [student._id, req.body.duplicateId],
+      details: { mergedInto: student._id, takeFields: req.body.takeFields }
+    });
+
+    res.json({
+      success: true,
+      message: 'Applications merged successfully',
+      data: { student }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error merging applications');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const EmailJob = require('../models/EmailJob');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resendJob } = require('../services/emailQueue');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Dead-letter list: emails that exhausted their retries
+router.get('/dead-letter', validateRequest('listDeadLetterEmails'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { status: 'dead' };
+
+    if (req.query.type) {
+      query.type = String(req.query.type);
+    }
+
+    const [emails, total] = await Promise.all([
+      EmailJob.find(query)
+        .select('-message.html -message.text -__v')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailJob.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching dead-letter emails');
+  }
+});
+
+// Queue overview: number of emails in each state
+router.get('/stats', async (req, res) => {
+  try {
+    const counts = await EmailJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = EmailJob.EMAIL_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    counts.forEach(({ _id, count }) => { stats[_id] = count; });
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching email queue stats');
+  }
+});
+
+// Full email including failure history (and the body, until it is sent or dead)
+router.get('/:id', validateRequest('getEmail'), async (req, res) => {
+  try {
+    const email = await EmailJob.findById(req.params.id).select('-__v');
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { email }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching email');
+  }
+});
+
+// Put a failed email back on the queue (only while its body is still stored)
+router.post('/:id/resend', validateRequest('resendEmail'), async (req, res) => {
+  try {
+    const email = await resendJob(req.params.id);
+
+    console.log(`🔁 Email ${email._id} requeued by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email queued for resending',
+      data: { email: { _id: email._id, status: email.status, nextAttemptAt: email.nextAttemptAt } }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error resending email');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const { acquireSeat, releaseSeat } = require('../services/courseSeats');
+const { createReviewLinks, LINK_TTL_HOURS } = require('../services/reviewLinks');
+const { enqueueEmail } = require('../services/emailQueue');
+const { formatFrom } = require('../services/mail');
+const { renderEmail, studentContext } = require('../services/emailTemplates');
+const { queueConfirmationEmail } = require('../services/enrollmentEmails');
+const { flagPossibleDuplicates } = require('../services/duplicates');
+const { sanitizeBody, validateRequest } = require('../middleware/validateRequest');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimiter } = require('../middleware/rateLimit');
+const { collectScreeningFields, screenSubmission, formSettings } = require('../middleware/antiAbuse');
+const { fieldErrors } = require('../utils/validation');
+const { maskStudentFields } = require('../utils/masking');
+const { signFormToken, FORM_TOKEN_TTL } = require('../utils/tokens');
+const { config } = require('../config');
+
+// Mounted at /api/v1/enrollments (and the legacy /send and /api/route aliases)
+const router = express.Router();
+
+// Form submission rate limiting (policy "enrollment"). Kept loose enough for a campus
+// behind one NAT address; bots are caught by the anti-abuse checks instead.
+const formLimiter = rateLimiter('enrollment');
+
+// Signed form token (and CAPTCHA settings) for the form to send back with the submission
+router.get('/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: {
+      formToken: signFormToken(),
+      expiresIn: FORM_TOKEN_TTL,
+      ...formSettings()
+    }
+  });
+});
+
+// Template context for the admin notification, with the sensitive fields masked
+const adminStudentContext = (student) => {
+  const context = studentContext(student);
+  return { ...context, student: maskStudentFields(context.student) };
+};
+
+// Submit an enrollment application (the public form)
+// An Idempotency-Key header makes retries safe: the same key and body replay the first response
+router.post('/', formLimiter, sanitizeBody, validateRequest('submitApplication'), collectScreeningFields,
+  idempotent('enrollment'), screenSubmission, async (req, res) => {
+  // Course whose seat this request took, so it can be given back if saving fails
+  let heldSeatCourseId = null;
+
+  try {
+    console.log('📝 Received enrollment data:', {
+      ...req.body,
+      // Don't log sensitive info
+      idnumber: req.body.idnumber ? '***' + req.body.idnumber.slice(-4) : undefined
+    });
+
+    // Sanitized and checked against the OpenAPI schema by the middleware above
+    const sanitizedData = req.body;
+    const { screening } = req;
+
+    // Check if student already exists
+    const existingStudent = await Student.findOne({
+      $or: [
+        { email: sanitizedData.email.toLowerCase() },
+        { idnumber: sanitizedData.idnumber }
+      ]
+    });
+
+    if (existingStudent) {
+      const duplicateField = existingStudent.email === sanitizedData.email.toLowerCase() ? 'email' : 'ID number';
+      return res.status(409).json({
+        success: false,
+        message: `A student with this ${duplicateField} already exists`,
+        code: 'DUPLICATE_ENTRY'
+      });
+    }
+
+    // Look up the selected course (by code or title) and make sure it's taking applications
+    const courseInput = String(sanitizedData.course);
+    const course = await Course.findOne({
+      $or: [{ code: courseInput.toUpperCase() }, { title: courseInput }]
+    });
+
+    if (!course || !course.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'course', message: 'Please select a valid course' }]
+      });
+    }
+
+    if (!course.isOpen) {
+      return res.status(400).json({
+        success: false,
+        message: `Applications for ${course.title} are currently closed`,
+        code: 'COURSE_CLOSED'
+      });
+    }
+
+    // Take a seat if one is free, otherwise join the course waitlist.
+    // Flagged applications don't get one until staff release them.
+    const seatAcquired = !screening.flagged && await acquireSeat(course._id);
+    if (seatAcquired) {
+      heldSeatCourseId = course._id;
+    }
+
+    let status = seatAcquired ? 'pending' : 'waitlisted';
+    if (screening.flagged) status = 'flagged';
+
+    // Prepare student data
+    const studentData = {
+      firstName: sanitizedData.firstName,
+      lastName: sanitizedData.lastName,
+      email: sanitizedData.email.toLowerCase(),
+      phone: sanitizedData.phone,
+      idnumber: sanitizedData.idnumber,
+      dateOfBirth: new Date(sanitizedData.dateOfBirth),
+      course: course.title,
+      courseId: course._id,
+      status,
+      waitlistedAt: status === 'waitlisted' ? new Date() : undefined,
+      address: sanitizedData.address,
+      city: sanitizedData.city,
+      zipCode: sanitizedData.zipCode,
+      emergencyContact: sanitizedData.emergencyContact,
+      emergencyPhone: sanitizedData.emergencyPhone,
+      preferredLanguage: sanitizedData.preferredLanguage || undefined,
+      screening: screening.flagged ? {
+        reasons: screening.reasons,
+        captchaScore: screening.captchaScore,
+        checkedAt: screening.checkedAt
+      } : undefined,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    };
+
+    // Create and save new student
+    const newStudent = new Student(studentData);
+    const savedStudent = await newStudent.save();
+    heldSeatCourseId = null;
+
+    if (screening.flagged) {
+      console.warn(`⚠️ Application ${savedStudent._id} flagged for review: ${screening.reasons.join(', ')}`);
+    } else {
+      console.log(`✅ Student saved successfully: ${savedStudent._id}${seatAcquired ? '' : ` (waitlisted for ${course.code})`}`);
+    }
+
+    // Near-duplicates (new email, re-spelled name) are flagged for staff review rather than refused
+    try {
+      await flagPossibleDuplicates(savedStudent);
+    } catch (duplicateError) {
+      console.error('❌ Duplicate check failed:', duplicateError);
+    }
+
+    // Queue emails for the background worker so the applicant doesn't wait on SMTP.
+    // Flagged applications get theirs when staff release them (see routes/students.js).
+    if (!screening.flagged) {
+      try {
+        // Confirmation email to student
+        await queueConfirmationEmail(savedStudent);
+
+        // Notification email to admin (with signed one-click review links). Sensitive
+        // fields are masked: the queued email is stored in the database unencrypted.
+        if (config.email.adminEmail) {
+          let reviewLinks = {};
+          try {
+            reviewLinks = await createReviewLinks(savedStudent, config.email.adminEmail);
+          } catch (linkError) {
+            console.error('❌ Could not create review links:', linkError);
+          }
+
+          await enqueueEmail({
+            from: formatFrom('System'),
+            to: config.email.adminEmail,
+            ...renderEmail('admin-notification', {
+              ...adminStudentContext(savedStudent),
+              links: reviewLinks,
+              linkTtlHours: LINK_TTL_HOURS
+            }, { locale: config.email.adminLocale }),
+            priority: 'high'
+          }, { type: 'admin-notification', student: savedStudent });
+        }
+
+        console.log('📧 Enrollment emails queued');
+      } catch (emailError) {
+        // Don't fail the entire request if the emails can't be queued
+        console.error('❌ Email queueing failed:', emailError);
+      }
+    }
+
+    // Success response
+    res.status(201).json({
+      success: true,
+      message: savedStudent.status === 'waitlisted'
+        ? `Enrollment application submitted! ${course.title} is currently full, so you have been placed on the waitlist. Please check your email for confirmation details.`
+        : 'Enrollment application submitted successfully! Please check your email for confirmation details.',
+      data: {
+        studentId: savedStudent._id,
+        applicationId: savedStudent._id.toString().slice(-8).toUpperCase(),
+        email: savedStudent.email,
+        course: savedStudent.course,
+        // A flagged application reads as pending, so a bot can't tell it was caught
+        status: screening.flagged ? 'pending' : savedStudent.status,
+        submissionTime: savedStudent.createdAt || new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Enrollment submission error:', error);
+
+    if (heldSeatCourseId) {
+      await releaseSeat(heldSeatCourseId).catch((seatError) => {
+        console.error('❌ Could not release course seat:', seatError);
+      });
+    }
+    
+    // Handle specific MongoDB errors
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0].replace(/^blindIndex\./, '');
+      return res.status(409).json({
+        success: false,
+        message: `A student with this ${field} already exists`,
+        code: 'DUPLICATE_ENTRY'
+      });
+    }
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: fieldErrors(error)
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error. Please try again later.',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { config, redactConfig } = require('../config');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Health check endpoint
+router.get('/', (req, res) => {
+  const healthCheck = {
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+    memory: process.memoryUsage(),
+    environment: config.env
+  };
+
+  res.json(healthCheck);
+});
+
+// The configuration with secrets redacted, for admins, and only when
+// HEALTH_SHOW_CONFIG is turned on (it is off in every profile). Even redacted,
+// it names hosts, accounts and allowlists that the public shouldn't see.
+router.get('/config', authenticate, authorize('admin'), (req, res) => {
+  if (!config.diagnostics.healthShowsConfig) {
+    return res.status(404).json({
+      success: false,
+      message: 'Configuration display is turned off (set HEALTH_SHOW_CONFIG=true)'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { profile: config.env, config: redactConfig() }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildDataExport, eraseStudent } = require('../services/dataSubject');
+const { recordAudit } = require('../services/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+
+// Mounted at /api/v1/students/:id/personal-data
+// Data-subject requests under the Data Protection Act: access (export) and erasure
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, authorize('admin'));
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Everything held about the applicant as a JSON file, to hand over on request
+router.get('/', validateRequest('exportPersonalData'), async (req, res) => {
+  try {
+    const bundle = await buildDataExport(req.params.id);
+    await recordAudit({
+      req,
+      action: 'student.data-export',
+      targetIds: bundle.applicationId,
+      details: { documents: bundle.documents.length, emails: bundle.emails.length }
+    });
+
+    res.set({
+      'Content-Disposition': `attachment; filename="personal-data-${bundle.applicationId}.json"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.json(bundle);
+  } catch (error) {
+    sendError(res, error, 'Error exporting personal data');
+  }
+});
+
+// Erase the applicant's personal data. Body: { reason } (e.g. the request reference)
+router.post('/erase', validateRequest('erasePersonalData'), async (req, res) => {
+  try {
+    const reason = req.body.reason.trim();
+    const { student, summary } = await eraseStudent(req.params.id, { actor: req.user });
+    await recordAudit({
+      req,
+      action: 'student.erase',
+      targetIds: student._id,
+      details: { reason, ...summary }
+    });
+
+    res.json({
+      success: true,
+      message: 'Personal data erased. The anonymized record is kept for statistics.',
+      data: { student, summary }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error erasing personal data');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { getRetentionReport, runRetention } = require('../services/retention');
+const { validateRequest } = require('../middleware/validateRequest');
+const { config } = require('../config');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Dry run: the configured rules and the applications each would affect now
+router.get('/report', validateRequest('getRetentionReport'), async (req, res) => {
+  try {
+    const report = await getRetentionReport();
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendError(res, error, 'Error building retention report');
+  }
+});
+
+// Apply the rules now instead of waiting for the scheduled run. Body: { confirm: true }.
+// Respects the same off switch as the scheduled job: anonymizing can't be undone.
+router.post('/run', validateRequest('runRetention'), async (req, res) => {
+  if (!config.retention.enabled) {
+    return res.status(409).json({
+      success: false,
+      message: 'Retention is turned off (set RETENTION_ENABLED=true to apply the rules)',
+      code: 'RETENTION_DISABLED'
+    });
+  }
+
+  try {
+    const result = await runRetention();
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A retention run is already in progress',
+        code: 'RETENTION_RUNNING'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Retention rules applied',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error applying retention rules');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const validator = require('validator');
+const Student = require('../models/Student');
+const { changeStatus } = require('../services/applicationStatus');
+const { recordAudit } = require('../services/auditLog');
+const {
+  resolveActionToken,
+  consumeActionToken,
+  releaseActionToken,
+  revokeDecisionLinks
+} = require('../services/reviewLinks');
+
+const escape = (value) => validator.escape(value === undefined || value === null ? '' : String(value));
+
+const ACTION_LABELS = {
+  approve: { status: 'approved', title: 'Approve Application', button: '✅ Confirm Approval', color: '#27ae60' },
+  reject: { status: 'rejected', title: 'Reject Application', button: '❌ Confirm Rejection', color: '#c0392b' }
+};
+
+const renderPage = (title, body) => `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${escape(title)}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+            .container { max-width: 600px; margin: 0 auto; background: white; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+            .header h1 { margin: 0; font-size: 22px; }
+            .content { padding: 20px; }
+            .row { padding: 8px 0; border-bottom: 1px solid #dee2e6; }
+            .label { font-weight: 600; color: #495057; font-size: 12px; text-transform: uppercase; }
+            .btn { display: block; width: 100%; padding: 14px; margin: 10px 0; border: none; border-radius: 6px; font-size: 16px; font-weight: 600; color: white; text-align: center; text-decoration: none; box-sizing: border-box; }
+            textarea { width: 100%; min-height: 80px; box-sizing: border-box; font-family: inherit; font-size: 15px; }
+            .notice { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header"><h1>${escape(title)}</h1></div>
+            <div class="content">${body}</div>
+        </div>
+    </body>
+    </html>
+  `;
+
+const renderStudentSummary = (student) => {
+  const rows = [
+    ['Application ID', `#${student._id.toString().slice(-8).toUpperCase()}`],
+    ['Full Name', `${student.firstName} ${student.lastName}`],
+    ['Course', student.course],
+    ['Status', student.status]
+  ];
+  return rows.map(([label, value]) => `<div class="row"><div class="label">${escape(label)}</div>${escape(value)}</div>`).join('');
+};
+
+const renderStudentDetails = (student) => {
+  const rows = [
+    ['Application ID', `#${student._id.toString().slice(-8).toUpperCase()}`],
+    ['Full Name', `${student.firstName} ${student.lastName}`],
+    ['Email Address', student.email],
+    ['Phone Number', student.phone],
+    ['ID Number', student.idnumber],
+    ['Date of Birth', new Date(student.dateOfBirth).toLocaleDateString()],
+    ['Course Selected', student.course],
+    ['Address', student.address],
+    ['City & ZIP', `${student.city}, ${student.zipCode}`],
+    ['Emergency Contact', student.emergencyContact],
+    ['Emergency Phone', student.emergencyPhone],
+    ['Application Date', new Date(student.enrollmentDate).toLocaleString()],
+    ['Status', student.status]
+  ];
+  return rows.map(([label, value]) => `<div class="row"><div class="label">${escape(label)}</div>${escape(value)}</div>`).join('');
+};
+
+const sendError = (res, error) => {
+  const status = error.status || 500;
+  if (!error.status) {
+    console.error('❌ Review link error:', error);
+  }
+  res.status(status).send(renderPage('Link Unavailable', `
+              <div class="notice">${escape(error.status ? error.message : 'Something went wrong. Please try again later.')}</div>`));
+};
+
+// Signed links from the admin notification email. GET only renders a page
+// (mail scanners prefetch links); the decision is applied by the POST.
+const createReviewRouter = ({ onDecision } = {}) => {
+  const router = express.Router();
+
+  router.get('/:token', async (req, res) => {
+    try {
+      const record = await resolveActionToken(req.params.token);
+      const student = await Student.findById(record.student);
+      if (!student) {
+        return res.status(404).send(renderPage('Application Not Found', '<div class="notice">This application no longer exists.</div>'));
+      }
+
+      if (record.action === 'view') {
+        await recordAudit({
+          req,
+          actor: { actorType: 'email-link', actorEmail: record.recipient },
+          action: 'student.view',
+          targetIds: student._id
+        });
+        return res.send(renderPage('Application Details', renderStudentDetails(student)));
+      }
+
+      const label = ACTION_LABELS[record.action];
+      res.send(renderPage(label.title, `
+              ${renderStudentSummary(student)}
+              <form method="POST" action="${escape(req.originalUrl)}">
+                  ${record.action === 'reject' ? '<p><label for="reason"><strong>Reason (sent to the applicant)</strong></label><textarea id="reason" name="reason" required maxlength="500"></textarea></p>' : ''}
+                  <button type="submit" class="btn" style="background: ${label.color};">${label.button}</button>
+              </form>`));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/:token', async (req, res) => {
+    try {
+      const record = await resolveActionToken(req.params.token);
+      const label = ACTION_LABELS[record.action];
+      if (!label) {
+        return res.status(400).send(renderPage('Invalid Link', '<div class="notice">This link cannot be used to change an application.</div>'));
+      }
+
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      if (record.action === 'reject' && !reason) {
+        return res.status(400).send(renderPage(label.title, '<div class="notice">Please go back and give a reason for the rejection.</div>'));
+      }
+
+      // Claimed before the change so a link can't be used twice at once; given back
+      // if the change is refused, so the reviewer can try again once it's resolved
+      const consumed = await consumeActionToken(record, req.ip);
+
+      let result;
+      try {
+        result = await changeStatus(record.student, label.status, {
+          actor: { email: record.recipient },
+          reason,
+          via: 'email-link',
+          req
+        });
+      } catch (error) {
+        await releaseActionToken(consumed).catch((releaseError) => {
+          console.error('❌ Could not release review link:', releaseError);
+        });
+        throw error;
+      }
+      const { student, from, to } = result;
+
+      await revokeDecisionLinks(student._id);
+
+      if (onDecision) {
+        await onDecision(student, reason);
+      }
+
+      res.send(renderPage('Decision Recorded', `
+              <div class="notice">Application status changed from <strong>${escape(from)}</strong> to <strong>${escape(to)}</strong>.</div>
+              ${renderStudentSummary(student)}`));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createReviewRouter;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildStudentQuery } = require('../services/studentQuery');
+const { parseStatsOptions, getEnrollmentStats } = require('../services/enrollmentStats');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'registrar', 'viewer'));
+
+// Enrollment analytics for applications submitted in a date range
+// ?from=2025-01-01&to=2025-01-31&interval=day|week plus the course/status/search filters from GET /api/v1/students
+router.get('/', validateRequest('getEnrollmentStats'), async (req, res) => {
+  try {
+    const options = parseStatsOptions(req.query);
+    const stats = await getEnrollmentStats(options, buildStudentQuery(req.query).filter);
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error fetching enrollment stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching enrollment stats'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const { once } = require('events');
+const express = require('express');
+const ExcelJS = require('exceljs');
+const Student = require('../models/Student');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildStudentQuery, describeStudentQuery } = require('../services/studentQuery');
+const { recordAudit, MAX_TARGET_IDS } = require('../services/auditLog');
+const { maskStudentFields } = require('../utils/masking');
+const { toCell, toCsvLine } = require('../utils/csv');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'registrar', 'viewer'));
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Columns that can be requested with ?columns=a,b,c (the key is the column name)
+const EXPORT_COLUMNS = {
+  applicationId: { header: 'Application ID', value: (s) => s._id.toString().slice(-8).toUpperCase() },
+  firstName: { header: 'First Name', value: (s) => s.firstName },
+  lastName: { header: 'Last Name', value: (s) => s.lastName },
+  email: { header: 'Email', value: (s) => s.email },
+  phone: { header: 'Phone', value: (s) => s.phone },
+  idnumber: { header: 'ID Number', value: (s) => s.idnumber },
+  dateOfBirth: { header: 'Date of Birth', value: (s) => (s.dateOfBirth === '****' ? s.dateOfBirth : formatDate(s.dateOfBirth)) },
+  course: { header: 'Course', value: (s) => s.course },
+  status: { header: 'Status', value: (s) => s.status },
+  address: { header: 'Address', value: (s) => s.address },
+  city: { header: 'City', value: (s) => s.city },
+  zipCode: { header: 'ZIP Code', value: (s) => s.zipCode },
+  emergencyContact: { header: 'Emergency Contact', value: (s) => s.emergencyContact },
+  emergencyPhone: { header: 'Emergency Phone', value: (s) => s.emergencyPhone },
+  preferredLanguage: { header: 'Language', value: (s) => s.preferredLanguage },
+  enrollmentDate: { header: 'Applied On', value: (s) => formatDate(s.enrollmentDate) },
+  decidedAt: { header: 'Decided On', value: (s) => formatDate(s.decidedAt) }
+};
+
+const DEFAULT_COLUMNS = ['applicationId', 'firstName', 'lastName', 'email', 'phone', 'course', 'status', 'city', 'enrollmentDate'];
+
+const parseColumns = (param) => {
+  if (!param) return { columns: DEFAULT_COLUMNS };
+
+  const columns = [...new Set(String(param).split(',').map((c) => c.trim()).filter(Boolean))];
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+  if (columns.length === 0 || unknown.length > 0) {
+    return { unknown: unknown.length > 0 ? unknown : [String(param)] };
+  }
+  return { columns };
+};
+
+// Export the (filtered) applicant list as CSV or Excel
+// ?format=csv|xlsx  &columns=firstName,email,...  plus the course/status/search/date filters from GET /api/v1/students
+router.get('/', validateRequest('exportStudents'), async (req, res) => {
+  const format = String(req.query.format || 'csv');
+
+  const { columns, unknown } = parseColumns(req.query.columns);
+  if (unknown) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: unknown.map((column) => ({
+        field: 'columns',
+        message: `Unknown column: ${column}. Available columns: ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+      }))
+    });
+  }
+
+  let query;
+  try {
+    query = buildStudentQuery(req.query);
+  } catch (error) {
+    return sendError(res, error, 'Error exporting student data');
+  }
+
+  const showSensitive = req.user.canViewSensitiveData();
+  // The first applicants in the file, for the audit log (which keeps at most
+  // MAX_TARGET_IDS; the full count is in rows)
+  const studentIds = [];
+  const toRow = (student) => {
+    if (studentIds.length < MAX_TARGET_IDS) studentIds.push(student._id);
+    const plain = Student.decryptFields(student);
+    const record = showSensitive ? plain : maskStudentFields(plain);
+    return columns.map((column) => EXPORT_COLUMNS[column].value(record));
+  };
+
+  const cursor = Student.find(query.filter)
+    .select('-__v -statusHistory -editHistory')
+    .sort(query.sort)
+    .lean()
+    .cursor();
+
+  const fileName = `students-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  let rows = 0;
+  const audit = (completed) => recordAudit({
+    req,
+    action: 'student.export',
+    targetIds: studentIds,
+    details: { format, columns, masked: !showSensitive, filters: describeStudentQuery(req.query), rows, completed }
+  });
+
+  try {
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8');
+      // BOM so Excel opens the file as UTF-8
+      res.write('\uFEFF' + toCsvLine(columns.map((column) => EXPORT_COLUMNS[column].header)));
+
+      for await (const student of cursor) {
+        if (!res.write(toCsvLine(toRow(student)))) {
+          await once(res, 'drain');
+        }
+        rows++;
+      }
+      res.end();
+    } else {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const sheet = workbook.addWorksheet('Applicants');
+      sheet.columns = columns.map((column) => ({
+        header: EXPORT_COLUMNS[column].header,
+        key: column,
+        width: 20
+      }));
+
+      for await (const student of cursor) {
+        sheet.addRow(toRow(student).map(toCell)).commit();
+        rows++;
+      }
+      sheet.commit();
+      await workbook.commit();
+    }
+
+    await audit(true);
+    console.log(`📋 ${req.user.email} exported ${rows} applicants as ${format.toUpperCase()}${showSensitive ? '' : ' (masked)'}`);
+  } catch (error) {
+    console.error('❌ Error exporting students:', error);
+    await cursor.close().catch(() => {});
+    await audit(false);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error exporting student data'
+      });
+    }
+    // Part of the file has already gone out, so cut the download short
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/upload');
+const { importStudents } = require('../services/bulkImport');
+const { recordAudit } = require('../services/auditLog');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'registrar'));
+
+const isTrue = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Import a batch of applications from a CSV (multipart field "file")
+// ?dryRun=true checks every row without saving anything
+// ?notify=false skips the applicant confirmation emails
+router.post('/', validateRequest('importStudents'), uploadCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV file is required (multipart field "file")',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const dryRun = isTrue(req.query.dryRun);
+    const report = await importStudents(req.file.buffer.toString('utf8'), {
+      dryRun,
+      notify: req.query.notify === undefined ? true : isTrue(req.query.notify),
+      actor: req.user
+    });
+
+    const { created, skipped, invalid } = report.summary;
+    if (!dryRun) {
+      await recordAudit({
+        req,
+        action: 'student.import',
+        targetIds: report.rows.map((row) => row.studentId),
+        details: { fileName: req.file.originalname, summary: report.summary }
+      });
+    }
+
+    res.status(dryRun || created === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${created} applications would be created, ${skipped} skipped and ${invalid} invalid. Nothing was saved.`
+        : `${created} applications created, ${skipped} skipped and ${invalid} invalid.`,
+      data: report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Student import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing students'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const Student = require('../models/Student');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { changeStatus } = require('../services/applicationStatus');
+const { queueConfirmationEmail, sendStatusDecisionEmail } = require('../services/enrollmentEmails');
+const { recordAudit } = require('../services/auditLog');
+const { buildStudentQuery, describeStudentQuery, DATE_SORT_FIELDS } = require('../services/studentQuery');
+const { paginate, parsePageSize } = require('../services/pagination');
+const { fieldErrors } = require('../utils/validation');
+const studentExportRoutes = require('./studentExport');
+const studentImportRoutes = require('./studentImport');
+const documentRoutes = require('./documents');
+const personalDataRoutes = require('./personalData');
+
+// Mounted at /api/v1/students
+const router = express.Router();
+
+// Applications, filtered, sorted and cursor-paginated
+router.get('/', authenticate, authorize('admin', 'registrar', 'viewer'), validateRequest('listStudents'), async (req, res) => {
+  try {
+    const { filter, sortField, sortDirection } = buildStudentQuery(req.query);
+
+    // Cursor pagination: pass pagination.nextCursor back as ?cursor= for the next page
+    const { documents: students, pagination } = await paginate(Student, {
+      filter,
+      sortField,
+      sortDirection,
+      dateFields: DATE_SORT_FIELDS,
+      cursor: req.query.cursor,
+      limit: parsePageSize(req.query.limit),
+      includeTotal: req.query.includeTotal === 'true',
+      select: '-__v' // Exclude version field
+    });
+
+    await recordAudit({
+      req,
+      action: 'student.list',
+      targetIds: students.map((student) => student._id),
+      details: { filters: describeStudentQuery(req.query), returned: students.length }
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        students,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error fetching students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching student data'
+    });
+  }
+});
+
+// CSV / Excel export of the filtered student list (before /:id so "export" isn't taken as an ID)
+router.use('/export', studentExportRoutes);
+
+// Bulk CSV import of applications from partner agencies
+router.use('/import', studentImportRoutes);
+
+// One application
+router.get('/:id', authenticate, authorize('admin', 'registrar', 'viewer'), validateRequest('getStudent'), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('-__v');
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    await recordAudit({ req, action: 'student.view', targetIds: student._id });
+    
+    res.json({
+      success: true,
+      data: { student }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching student data'
+    });
+  }
+});
+
+// Supporting documents for an application (upload, download, verification)
+router.use('/:id/documents', documentRoutes);
+
+// Data-subject requests: personal data export and erasure
+router.use('/:id/personal-data', personalDataRoutes);
+
+// Change application status (approve / reject / waitlist, or release a flagged application)
+router.patch('/:id/status', authenticate, authorize('admin', 'registrar'), validateRequest('changeStudentStatus'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const { student, from, to } = await changeStatus(req.params.id, status, {
+      actor: req.user,
+      reason,
+      req
+    });
+
+    if (from === 'flagged') {
+      // A released application gets the confirmation it was held back from; a rejected
+      // one gets nothing, as its address may not belong to whoever submitted it
+      if (to !== 'rejected') {
+        await queueConfirmationEmail(student).catch((emailError) => {
+          console.error('❌ Confirmation email queueing failed:', emailError);
+        });
+      }
+    } else {
+      await sendStatusDecisionEmail(student, reason);
+    }
+
+    res.json({
+      success: true,
+      message: `Application status changed from ${from} to ${to}`,
+      data: { student }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: fieldErrors(error)
+      });
+    }
+
+    console.error('❌ Error changing application status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application status'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticate, authorize } = require('../middleware/auth');
+const { LOCALES, renderEmail, listTemplates, studentContext } = require('../services/emailTemplates');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'registrar'));
+
+// Made-up applicant used to render previews
+const SAMPLE_STUDENT = {
+  _id: new mongoose.Types.ObjectId('000000000000000000a1b2c3'),
+  firstName: 'Amani',
+  lastName: 'Wanjiku',
+  email: 'amani.wanjiku@example.com',
+  phone: '+254 712 345 678',
+  idnumber: '12345678',
+  dateOfBirth: new Date('2002-04-15'),
+  course: 'Computer Science',
+  address: '123 Moi Avenue, Apartment 4B',
+  city: 'Nairobi',
+  zipCode: '00100',
+  emergencyContact: 'Grace Wanjiku',
+  emergencyPhone: '+254 722 000 111',
+  preferredLanguage: 'en',
+  enrollmentDate: new Date(),
+  status: 'pending'
+};
+
+// Extra variables some templates expect
+const SAMPLE_CONTEXT = {
+  reason: 'The course has reached full capacity for this intake.',
+  links: {
+    approve: 'https://example.com/api/v1/review/sample-approve-token',
+    reject: 'https://example.com/api/v1/review/sample-reject-token',
+    view: 'https://example.com/api/v1/review/sample-view-token'
+  },
+  linkTtlHours: 72,
+  code: '482913',
+  expiresInMinutes: 10
+};
+
+// Available templates and locales
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        templates: listTemplates(),
+        locales: LOCALES
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing email templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing email templates'
+    });
+  }
+});
+
+// Render a template against the sample student
+// ?locale=en|sw  &format=html|text|json (default html)
+router.get('/:name/preview', validateRequest('previewEmailTemplate'), (req, res) => {
+  try {
+    const locale = req.query.locale || 'en';
+    const format = req.query.format || 'html';
+
+    const email = renderEmail(req.params.name, {
+      ...studentContext({ ...SAMPLE_STUDENT, preferredLanguage: locale }),
+      ...SAMPLE_CONTEXT
+    }, { locale });
+
+    if (format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(email.text);
+    }
+
+    res.json({
+      success: true,
+      data: { template: req.params.name, locale, ...email }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error rendering email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering email template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const enrollmentRoutes = require('./enrollment');
+const authRoutes = require('./auth');
+const courseRoutes = require('./courses');
+const applicantRoutes = require('./applicant');
+const studentRoutes = require('./students');
+const createReviewRouter = require('./review');
+const emailRoutes = require('./emails');
+const templateRoutes = require('./templates');
+const statsRoutes = require('./stats');
+const duplicateRoutes = require('./duplicates');
+const auditRoutes = require('./audit');
+const retentionRoutes = require('./retention');
+const healthRoutes = require('./health');
+const { sendStatusDecisionEmail } = require('../services/enrollmentEmails');
+
+// Version 1 of the API, mounted at /api/v1
+const router = express.Router();
+
+// Enrollment applications from the public form
+router.use('/enrollments', enrollmentRoutes);
+
+// Authentication endpoints (login, refresh, logout)
+router.use('/auth', authRoutes);
+
+// Courses: public list for the enrollment form, CRUD for admins
+router.use('/courses', courseRoutes);
+
+// Applicant self-service: check status and edit a pending application
+router.use('/applicant', applicantRoutes);
+
+// Applications: list, view, status changes, export/import, documents and personal data
+router.use('/students', studentRoutes);
+
+// One-click review links from the admin notification email
+router.use('/review', createReviewRouter({ onDecision: sendStatusDecisionEmail }));
+
+// Outbound email queue and dead-letter view (admin)
+router.use('/emails', emailRoutes);
+
+// Email template list and previews (admin)
+router.use('/templates', templateRoutes);
+
+// Enrollment analytics for leadership reports
+router.use('/stats', statsRoutes);
+
+// Possible duplicate applications: review, dismiss and merge
+router.use('/duplicates', duplicateRoutes);
+
+// Audit trail of who viewed or changed applicant data (admin)
+router.use('/audit', auditRoutes);
+
+// Data retention rules: dry-run report and manual run
+router.use('/retention', retentionRoutes);
+
+// Health check
+router.use('/health', healthRoutes);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// Encrypt applicant personal data written before field encryption was enabled,
+// re-encrypt values still under an old key after FIELD_ENCRYPTION_KEYS is rotated,
+// and fill in the blind indexes. Safe to run more than once.
+// Usage: npm run migrate:encrypt [-- --dry-run] [-- --reindex]
+//   --dry-run  report what would change without writing anything
+//   --reindex  recompute every blind index (needed after BLIND_INDEX_KEY changes)
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const Student = require('../models/Student');
+const { ENCRYPTED_FIELDS } = require('../models/Student');
+const { isEncrypted, encryptValue, decryptValue, needsRotation } = require('../utils/fieldEncryption');
+
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+const reindex = process.argv.includes('--reindex');
+
+const INDEXED_FIELDS = ENCRYPTED_FIELDS.filter((field) => Student.schema.path(`blindIndex.${field}`));
+
+// Plaintext of a stored value (dates were stored as BSON dates before encryption)
+const plaintextOf = (value) => (value instanceof Date ? value.toISOString() : decryptValue(String(value)));
+
+// The $set / $unset needed to bring one raw student document up to date
+const planUpdate = (record) => {
+  const $set = {};
+  const counts = { encrypted: 0, rotated: 0, indexed: 0 };
+
+  ENCRYPTED_FIELDS.forEach((field) => {
+    const value = record[field];
+    if (value === undefined || value === null || value === '') return;
+
+    if (!isEncrypted(value)) {
+      $set[field] = encryptValue(value instanceof Date ? value.toISOString() : String(value).trim());
+      counts.encrypted++;
+    } else if (needsRotation(value)) {
+      $set[field] = encryptValue(decryptValue(value));
+      counts.rotated++;
+    }
+
+    const hasIndex = record.blindIndex && record.blindIndex[field];
+    if (INDEXED_FIELDS.includes(field) && (reindex || !hasIndex)) {
+      $set[`blindIndex.${field}`] = Student.blindIndexFor(field, plaintextOf(value));
+      counts.indexed++;
+    }
+  });
+
+  if (record.dateOfBirth && record.birthYear === undefined) {
+    $set.birthYear = new Date(plaintextOf(record.dateOfBirth)).getUTCFullYear();
+  }
+
+  // Older edit history copied encrypted fields' values in the clear
+  const history = record.editHistory || [];
+  const leaksValues = history.some((entry) => (entry.changes || []).some((change) =>
+    ENCRYPTED_FIELDS.includes(change.field) && (change.from !== undefined || change.to !== undefined)
+  ));
+  if (leaksValues) {
+    $set.editHistory = history.map((entry) => ({
+      ...entry,
+      changes: (entry.changes || []).map((change) => (
+        ENCRYPTED_FIELDS.includes(change.field) ? { field: change.field } : change
+      ))
+    }));
+  }
+
+  return { $set, counts };
+};
+
+const run = async () => {
+  await mongoose.connect(config.database.uri);
+
+  const totals = { scanned: 0, updated: 0, encrypted: 0, rotated: 0, indexed: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Student.collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  // Raw collection: the model's getters and setters would hide what is actually stored
+  const cursor = Student.collection.find({}, {
+    projection: { ...Object.fromEntries(ENCRYPTED_FIELDS.map((field) => [field, 1])), blindIndex: 1, birthYear: 1, editHistory: 1 }
+  });
+
+  for await (const record of cursor) {
+    totals.scanned++;
+    const { $set, counts } = planUpdate(record);
+    if (Object.keys($set).length === 0) continue;
+
+    totals.updated++;
+    totals.encrypted += counts.encrypted;
+    totals.rotated += counts.rotated;
+    totals.indexed += counts.indexed;
+
+    batch.push({ updateOne: { filter: { _id: record._id }, update: { $set } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '🔎 Dry run: ' : '✅ '}${totals.scanned} application(s) scanned, ${totals.updated} ${dryRun ? 'would be ' : ''}updated`);
+  console.log(`   ${totals.encrypted} value(s) encrypted, ${totals.rotated} re-encrypted with the current key, ${totals.indexed} blind index(es) set`);
+
+  if (!dryRun) {
+    // Replace the old plaintext indexes (idnumber, dateOfBirth, text index) with the blind ones
+    const dropped = await Student.syncIndexes();
+    if (dropped.length > 0) console.log(`🗑️ Dropped indexes: ${dropped.join(', ')}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,50 @@
+// Create (or reset) an admin account
+// Usage: npm run seed:admin -- <email> <password> [name] [role]
+//    or: SEED_ADMIN_EMAIL=... SEED_ADMIN_PASSWORD=... npm run seed:admin
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const User = require('../models/User');
+
+const [, , argEmail, argPassword, argName, argRole] = process.argv;
+
+const email = argEmail || process.env.SEED_ADMIN_EMAIL;
+const password = argPassword || process.env.SEED_ADMIN_PASSWORD;
+const name = argName || process.env.SEED_ADMIN_NAME || 'Administrator';
+const role = argRole || 'admin';
+
+const run = async () => {
+  if (!email || !password) {
+    console.error('❌ Usage: npm run seed:admin -- <email> <password> [name] [role]');
+    process.exit(1);
+  }
+
+  if (!User.ROLES.includes(role)) {
+    console.error(`❌ Invalid role "${role}". Expected one of: ${User.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.database.uri);
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  const created = !user;
+
+  if (!user) {
+    user = new User({ email, name, role });
+  } else {
+    user.role = role;
+    user.isActive = true;
+  }
+
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(`✅ ${created ? 'Created' : 'Updated'} ${role} account: ${user.email}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,49 @@
+// Create the courses that used to be hardcoded in the Student schema and link
+// existing applications to them. Safe to run more than once.
+// Usage: npm run seed:courses
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const { recountSeats } = require('../services/courseSeats');
+
+const DEFAULT_COURSES = [
+  { code: 'CS', title: 'Computer Science', department: 'Computing' },
+  { code: 'BA', title: 'Business Administration', department: 'Business' },
+  { code: 'ENG', title: 'Engineering', department: 'Engineering' },
+  { code: 'MED', title: 'Medicine', department: 'Health Sciences' },
+  { code: 'ART', title: 'Arts & Design', department: 'Arts' },
+  { code: 'PSY', title: 'Psychology', department: 'Social Sciences' },
+  { code: 'MATH', title: 'Mathematics', department: 'Sciences' },
+  { code: 'LIT', title: 'Literature', department: 'Arts' },
+  { code: 'IT', title: 'Information Technology', department: 'Computing' },
+  { code: 'PM', title: 'Project Management', department: 'Business' }
+];
+
+const run = async () => {
+  await mongoose.connect(config.database.uri);
+
+  for (const data of DEFAULT_COURSES) {
+    const course = await Course.findOneAndUpdate(
+      { code: data.code },
+      { $setOnInsert: data },
+      { upsert: true, new: true }
+    );
+
+    const linked = await Student.updateMany(
+      { course: course.title, courseId: null },
+      { $set: { courseId: course._id } }
+    );
+    const seatsTaken = await recountSeats(course._id);
+
+    console.log(`✅ ${course.code} ${course.title}: ${linked.modifiedCount} application(s) linked, ${seatsTaken} seat(s) taken`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const Student = require('../models/Student');
+const VerificationCode = require('../models/VerificationCode');
+const httpError = require('../utils/httpError');
+const { enqueueEmail } = require('./emailQueue');
+const { renderEmail, studentContext } = require('./emailTemplates');
+const { formatFrom } = require('./mail');
+const { config } = require('../config');
+
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashCode = (code) => {
+  return crypto.createHmac('sha256', config.auth.jwtSecret).update(code).digest('hex');
+};
+
+// Find the application matching an Application ID (the 8 characters shown to
+// the applicant, or the full ID) and the email it was submitted with
+const findApplication = async (applicationId, email) => {
+  if (typeof applicationId !== 'string' || typeof email !== 'string') return null;
+
+  const student = await Student.findOne({ email: email.toLowerCase().trim() });
+  if (!student) return null;
+
+  const id = student._id.toString();
+  const ref = applicationId.trim().replace(/^#/, '');
+  const matches = ref.length === 24
+    ? ref.toLowerCase() === id
+    : ref.length === 8 && ref.toUpperCase() === id.slice(-8).toUpperCase();
+
+  return matches ? student : null;
+};
+
+// Email a one-time code. Resolves quietly when nothing matches so the response
+// can't be used to discover which emails have applied.
+const requestCode = async (applicationId, email, ip) => {
+  const student = await findApplication(applicationId, email);
+  if (!student) return;
+
+  const recent = await VerificationCode.findOne({
+    student: student._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+  });
+  if (recent) return;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // Only the newest code is valid
+  await VerificationCode.deleteMany({ student: student._id, usedAt: null });
+  await VerificationCode.create({
+    student: student._id,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    requestedFromIp: ip
+  });
+
+  await enqueueEmail({
+    from: formatFrom('Admissions'),
+    to: student.email,
+    ...renderEmail('verification-code', {
+      ...studentContext(student),
+      code,
+      expiresInMinutes: CODE_TTL_MINUTES
+    }, { locale: student.preferredLanguage }),
+    priority: 'high'
+  }, { type: 'verification-code', student });
+};
+
+// Check a code and use it up; returns the verified application
+const verifyCode = async (applicationId, email, code) => {
+  const invalid = httpError(401, 'Invalid or expired verification code', 'INVALID_CODE');
+
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) throw invalid;
+
+  const student = await findApplication(applicationId, email);
+  if (!student) throw invalid;
+
+  // Count the attempt before checking, so parallel guesses can't exceed the limit
+  const record = await VerificationCode.findOneAndUpdate(
+    {
+      student: student._id,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+  if (!record) throw invalid;
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(code.trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) throw invalid;
+
+  const consumed = await VerificationCode.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!consumed) throw invalid;
+
+  return student;
+};
+
+module.exports = {
+  requestCode,
+  verifyCode
+};
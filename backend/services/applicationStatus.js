@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const httpError = require('../utils/httpError');
+const { holdsSeat, acquireSeat, releaseSeat } = require('./courseSeats');
+const { getMissingRequiredDocuments } = require('./documents');
+const { recordAudit } = require('./auditLog');
+
+// Allowed status transitions: current status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'waitlisted'],
+  waitlisted: ['approved', 'rejected', 'pending'],
+  rejected: ['pending'],
+  approved: [],
+  // Quarantined by the anti-abuse checks: released into the normal flow or rejected
+  flagged: ['pending', 'waitlisted', 'rejected']
+};
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Audit log actor for a status change
+const auditActor = (actor, via) => {
+  if (via === 'email-link') return { actorType: 'email-link', actorEmail: actor && actor.email };
+  if (!actor || !actor._id) return { actorType: 'system' };
+  return { actorType: 'user', actor: actor._id, actorEmail: actor.email, actorRole: actor.role };
+};
+
+// Move an application to a new status and record the decision in its history.
+// actor is the User making the decision; via records where it came from; req (if any)
+// is the request behind it, for the audit log.
+// Seats in the course are taken/released as needed and freed seats go to the waitlist.
+const changeStatus = async (studentId, to, { actor, reason, via = 'api', req } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    throw httpError(400, 'Invalid student ID format', 'INVALID_ID');
+  }
+
+  if (!Student.STATUSES.includes(to)) {
+    throw httpError(400, `Status must be one of: ${Student.STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  const cleanReason = typeof reason === 'string' ? reason.trim() : '';
+  if (to === 'rejected' && !cleanReason) {
+    throw httpError(400, 'A reason is required when rejecting an application', 'REASON_REQUIRED');
+  }
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    throw httpError(404, 'Student not found', 'NOT_FOUND');
+  }
+  if (student.erasedAt) {
+    throw httpError(410, 'This applicant\'s personal data has been erased', 'APPLICATION_ERASED');
+  }
+
+  const from = student.status;
+  if (!canTransition(from, to)) {
+    throw httpError(409, `Cannot change status from '${from}' to '${to}'`, 'INVALID_TRANSITION');
+  }
+
+  if (to === 'approved') {
+    const missing = await getMissingRequiredDocuments(student._id);
+    if (missing.length > 0) {
+      throw httpError(409, `These documents must be uploaded and verified before approval: ${missing.join(', ')}`, 'DOCUMENTS_INCOMPLETE');
+    }
+  }
+
+  const courseId = student.courseId;
+  const needsSeat = courseId && !holdsSeat(from) && holdsSeat(to);
+  const freesSeat = courseId && holdsSeat(from) && !holdsSeat(to);
+
+  if (needsSeat && !(await acquireSeat(courseId))) {
+    throw httpError(409, 'The course is full. The application must stay on the waitlist until a seat opens.', 'COURSE_FULL');
+  }
+
+  const now = new Date();
+  const isDecision = to === 'approved' || to === 'rejected';
+
+  // Only apply the change if nobody else has changed the status in the meantime
+  const updated = await Student.findOneAndUpdate(
+    { _id: student._id, status: from },
+    {
+      $set: {
+        status: to,
+        decidedAt: isDecision ? now : null,
+        waitlistedAt: to === 'waitlisted' ? now : null
+      },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          reason: cleanReason || undefined,
+          changedBy: actor ? actor._id : undefined,
+          changedByEmail: actor ? actor.email : undefined,
+          via,
+          changedAt: now
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  ).select('-__v');
+
+  if (!updated) {
+    if (needsSeat) await releaseSeat(courseId);
+    throw httpError(409, 'Application status was changed by someone else. Please reload and try again.', 'STATUS_CONFLICT');
+  }
+
+  console.log(`📋 Application ${updated._id} status: ${from} → ${to}${actor ? ` by ${actor.email}` : ''}`);
+
+  await recordAudit({
+    req,
+    actor: auditActor(actor, via),
+    action: 'student.status-change',
+    targetIds: updated._id,
+    // Only whether a reason was given: it is free text that may mention the
+    // applicant, and erasure can't reach the audit log (the reason itself stays
+    // in the status history, which erasure clears)
+    details: { from, to, via, reasonGiven: Boolean(cleanReason) }
+  });
+
+  if (freesSeat) {
+    await releaseSeat(courseId);
+    await promoteFromWaitlist(courseId, { exclude: updated._id });
+  }
+
+  return { student: updated, from, to };
+};
+
+// Move the longest-waiting applicants into free seats, oldest first
+const promoteFromWaitlist = async (courseId, { exclude } = {}) => {
+  const promoted = [];
+  const skipped = exclude ? [exclude] : [];
+
+  for (;;) {
+    const next = await Student.findOne({ courseId, status: 'waitlisted', erasedAt: null, _id: { $nin: skipped } })
+      .sort({ waitlistedAt: 1, enrollmentDate: 1 })
+      .select('_id');
+    if (!next) break;
+
+    try {
+      const { student } = await changeStatus(next._id, 'pending', {
+        reason: 'A seat became available',
+        via: 'system'
+      });
+      promoted.push(student);
+    } catch (error) {
+      if (error.code === 'COURSE_FULL') break;
+      if (error.code !== 'STATUS_CONFLICT' && error.code !== 'INVALID_TRANSITION') throw error;
+      skipped.push(next._id);
+    }
+  }
+
+  if (promoted.length > 0) {
+    console.log(`🎟️ Promoted ${promoted.length} waitlisted application(s) for course ${courseId}`);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  canTransition,
+  changeStatus,
+  promoteFromWaitlist
+};
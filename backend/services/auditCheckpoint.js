@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { getStorage } = require('./storage');
+const { config } = require('../config');
+
+// Where the audit log's checkpoint (its newest seq and hash) is kept, chosen by
+// AUDIT_CHECKPOINT_STORE: "database" (its own collection) or "storage" (the
+// document storage, e.g. an S3 bucket, out of reach of the database entirely)
+const CHECKPOINT_ID = 'audit-log';
+const STORAGE_KEY = 'audit/checkpoint.json';
+
+const sign = ({ seq, hash }) => crypto.createHmac('sha256', config.audit.key)
+  .update(`audit-checkpoint:${seq}:${hash || ''}`)
+  .digest('hex');
+
+const signed = ({ seq, hash }) => ({ seq, hash, signature: sign({ seq, hash }), recordedAt: new Date() });
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const stores = {
+  database: {
+    read: () => AuditCheckpoint.findById(CHECKPOINT_ID).lean(),
+
+    // Only ever moves forward, so instances racing each other can't set it back
+    write: async (head) => {
+      try {
+        await AuditCheckpoint.updateOne(
+          { _id: CHECKPOINT_ID, seq: { $lte: head.seq } },
+          { $set: signed(head) },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another instance has already recorded a later entry
+        if (error.code !== 11000) throw error;
+      }
+    }
+  },
+
+  storage: {
+    read: async () => {
+      try {
+        return JSON.parse(await readStream(await getStorage().getStream(STORAGE_KEY)));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    // Read-then-write: instances racing each other may briefly leave an older
+    // head, which still catches anything deleted before it
+    write: async (head) => {
+      const current = await stores.storage.read();
+      if (current && current.seq > head.seq) return;
+      await getStorage().put(STORAGE_KEY, Buffer.from(JSON.stringify(signed(head))), {
+        contentType: 'application/json',
+        overwrite: true
+      });
+    }
+  }
+};
+
+const getStore = () => stores[config.audit.checkpointStore];
+
+// The recorded head, or null if none has been recorded. Throws if the record
+// has been altered (its signature doesn't match).
+const readCheckpoint = async () => {
+  const checkpoint = await getStore().read();
+  if (!checkpoint) return null;
+
+  const expected = Buffer.from(sign(checkpoint));
+  const actual = Buffer.from(String(checkpoint.signature || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    const error = new Error('The audit checkpoint has been altered (its signature does not match)');
+    error.code = 'CHECKPOINT_TAMPERED';
+    throw error;
+  }
+  return { seq: checkpoint.seq, hash: checkpoint.hash };
+};
+
+const writeCheckpoint = ({ seq, hash }) => getStore().write({ seq, hash: hash || null });
+
+module.exports = {
+  readCheckpoint,
+  writeCheckpoint
+};
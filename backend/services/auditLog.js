@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const AuditLog = require('../models/AuditLog');
+const { readCheckpoint, writeCheckpoint } = require('./auditCheckpoint');
+
+const MAX_TARGET_IDS = 500;
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Stable text for hashing an entry (fields in a fixed order, ids as strings)
+const canonicalEntry = (entry) => JSON.stringify([
+  entry.seq,
+  entry.actorType,
+  entry.actor ? String(entry.actor) : null,
+  entry.actorEmail || null,
+  entry.actorRole || null,
+  entry.action,
+  entry.targetType,
+  (entry.targetIds || []).map(String),
+  entry.ipAddress || null,
+  entry.userAgent || null,
+  entry.method || null,
+  entry.path || null,
+  entry.details === undefined ? null : entry.details,
+  new Date(entry.createdAt).toISOString(),
+  entry.prevHash || null
+]);
+
+// Keyed, so someone with database access alone can't recompute the chain after an edit
+const hashEntry = (entry) => crypto.createHmac('sha256', config.audit.key).update(canonicalEntry(entry)).digest('hex');
+
+// Record the newest entry in the checkpoint (see services/auditCheckpoint.js).
+// A failure is logged loudly: until the next append succeeds, deleting the
+// newest entries would go unnoticed.
+const recordHead = async ({ seq, hash }) => {
+  try {
+    await writeCheckpoint({ seq, hash });
+  } catch (error) {
+    console.error(`❌ AUDIT CHECKPOINT WRITE FAILED (entry ${seq}):`, error.message);
+  }
+};
+
+// Who is behind a request: a staff user, a verified applicant or nobody
+const actorFromRequest = (req) => {
+  if (req.user) {
+    return { actorType: 'user', actor: req.user._id, actorEmail: req.user.email, actorRole: req.user.role };
+  }
+  // Applicants by ID only: entries can't be changed, so an email address here would
+  // outlive the erasure of the application
+  if (req.student) {
+    return { actorType: 'applicant', actor: req.student._id };
+  }
+  return { actorType: 'system' };
+};
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  path: req.originalUrl.split('?')[0]
+});
+
+// Entries are chained, so appends from this process go one at a time
+let appendQueue = Promise.resolve();
+
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      createdAt: new Date(),
+      prevHash: last ? last.hash : null
+    };
+    entry.hash = hashEntry(entry);
+
+    let saved;
+    try {
+      saved = await AuditLog.create(entry);
+    } catch (error) {
+      // Another server appended the same sequence number first; chain onto theirs
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      continue;
+    }
+    await recordHead(saved);
+    return saved;
+  }
+};
+
+// Record an access to applicant data. Never throws: a failed audit write is
+// logged loudly but doesn't fail the request that triggered it.
+// Pass req for staff/applicant requests, or actor fields directly for email links and the system.
+const recordAudit = ({ req, actor, action, targetType = 'student', targetIds = [], details }) => {
+  const ids = (Array.isArray(targetIds) ? targetIds : [targetIds]).filter(Boolean);
+  const fields = {
+    ...(req ? actorFromRequest(req) : { actorType: 'system' }),
+    ...(req ? requestContext(req) : {}),
+    ...actor,
+    action,
+    targetType,
+    targetIds: ids.slice(0, MAX_TARGET_IDS),
+    details: ids.length > MAX_TARGET_IDS ? { ...details, targetCount: ids.length } : details
+  };
+  // Store details exactly as they will hash when read back (no undefined, dates as strings)
+  if (fields.details !== undefined) {
+    fields.details = JSON.parse(JSON.stringify(fields.details));
+  }
+
+  const append = appendQueue.then(() => appendEntry(fields));
+  appendQueue = append.catch(() => {});
+
+  return append.catch((error) => {
+    console.error(`❌ AUDIT LOG WRITE FAILED (${action}):`, error);
+    return null;
+  });
+};
+
+// Walk the chain in order and report the first entry that doesn't match its hash.
+// The chain must also reach the checkpoint and any anchor ({ seq, hash } of an
+// entry recorded elsewhere, e.g. the head reported by an earlier check).
+const verifyAuditChain = async ({ anchor } = {}) => {
+  let checkpoint;
+  try {
+    checkpoint = await readCheckpoint();
+  } catch (error) {
+    if (error.code !== 'CHECKPOINT_TAMPERED') throw error;
+    return { valid: false, checked: 0, brokenAt: null, problem: error.message };
+  }
+
+  const anchors = [checkpoint, anchor].filter((known) => known && known.seq > 0);
+  let checked = 0;
+  let prevHash = null;
+  let expectedSeq = 1;
+
+  for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+    const problem = entry.seq !== expectedSeq
+      ? `Entry ${expectedSeq} is missing`
+      : entry.prevHash !== prevHash
+        ? 'Previous-entry hash does not match'
+        : entry.hash !== hashEntry(entry)
+          ? 'Entry contents do not match its hash'
+          : null;
+
+    const anchorProblem = problem ? null : anchors.some((known) => known.seq === entry.seq && known.hash !== entry.hash)
+      ? 'Entry does not match the recorded checkpoint'
+      : null;
+
+    if (problem || anchorProblem) {
+      return { valid: false, checked, brokenAt: entry.seq, problem: problem || anchorProblem };
+    }
+
+    prevHash = entry.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  const missingTail = anchors.find((known) => known.seq >= expectedSeq);
+  if (missingTail) {
+    return {
+      valid: false,
+      checked,
+      brokenAt: expectedSeq,
+      problem: missingTail.seq === expectedSeq
+        ? `Entry ${expectedSeq} is missing from the end of the log`
+        : `Entries ${expectedSeq} to ${missingTail.seq} are missing from the end of the log`
+    };
+  }
+
+  return { valid: true, checked, head: checked > 0 ? { seq: expectedSeq - 1, hash: prevHash } : null };
+};
+
+// Bring the checkpoint up to date with the log at boot. Throws if the checkpoint
+// store can't be written, so a misconfigured store stops the server rather than
+// leaving truncation undetected.
+const checkAuditCheckpoint = async () => {
+  const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+  await writeCheckpoint(last || { seq: 0, hash: null });
+  console.log(`🧾 Audit checkpoint: ${config.audit.checkpointStore} (entry ${last ? last.seq : 0})`);
+};
+
+module.exports = {
+  MAX_TARGET_IDS,
+  recordAudit,
+  verifyAuditChain,
+  checkAuditCheckpoint
+};
@@ -0,0 +1,247 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const httpError = require('../utils/httpError');
+const { parseCsv } = require('../utils/csv');
+const { sanitizeInput, fieldErrors } = require('../utils/validation');
+const { validateSchema } = require('../openapi/validator');
+const { acquireSeat, releaseSeat } = require('./courseSeats');
+const { queueConfirmationEmail } = require('./enrollmentEmails');
+const { findPossibleDuplicates, flagPossibleDuplicates } = require('./duplicates');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Enrollment form fields a CSV column can fill
+const IMPORT_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'idnumber', 'dateOfBirth', 'course',
+  'address', 'city', 'zipCode', 'emergencyContact', 'emergencyPhone', 'preferredLanguage'
+];
+
+// Headers are matched ignoring case, spaces and punctuation ("First Name" -> firstName)
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, '');
+
+const HEADER_ALIASES = {
+  ...Object.fromEntries(IMPORT_FIELDS.map((field) => [normalizeHeader(field), field])),
+  nationalid: 'idnumber',
+  idno: 'idnumber',
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  zip: 'zipCode',
+  postalcode: 'zipCode',
+  postcode: 'zipCode',
+  language: 'preferredLanguage'
+};
+
+// Map header cells to form fields; unknown columns are ignored but reported
+const mapHeaders = (headers) => {
+  const fields = headers.map((header) => HEADER_ALIASES[normalizeHeader(header)] || null);
+  const ignoredColumns = headers.filter((header, i) => !fields[i] && header.trim());
+
+  const seen = new Set();
+  fields.forEach((field) => {
+    if (!field) return;
+    if (seen.has(field)) {
+      throw httpError(400, `The CSV has more than one column for ${field}`, 'INVALID_CSV');
+    }
+    seen.add(field);
+  });
+
+  const missing = IMPORT_FIELDS.filter((field) => field !== 'preferredLanguage' && !seen.has(field));
+  if (missing.length > 0) {
+    throw httpError(400, `The CSV is missing required columns: ${missing.join(', ')}`, 'INVALID_CSV');
+  }
+
+  return { fields, ignoredColumns };
+};
+
+// Import applications from CSV text. Each row goes through the same checks as
+// POST /send (its OpenAPI schema, then the model); with dryRun nothing is written
+// and no seats are taken. Row errors are [{ field, message }] like the API's.
+const importStudents = async (csvText, { dryRun = false, notify = true, actor } = {}) => {
+  let records;
+  try {
+    records = parseCsv(csvText);
+  } catch (error) {
+    throw httpError(400, `Could not read the CSV: ${error.message}`, 'INVALID_CSV');
+  }
+
+  if (records.length < 2) {
+    throw httpError(400, 'The CSV needs a header row and at least one applicant', 'INVALID_CSV');
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    throw httpError(413, `A single import can contain at most ${MAX_IMPORT_ROWS} applicants`, 'TOO_MANY_ROWS');
+  }
+
+  const { fields, ignoredColumns } = mapHeaders(records[0].values);
+
+  const courses = new Map(); // course input -> Course (or null)
+  const plannedSeats = new Map(); // dry run: seats left per course id
+  const seenEmails = new Map(); // email -> line number
+  const seenIdNumbers = new Map(); // idnumber -> line number
+  const rows = [];
+
+  const findCourse = async (input) => {
+    if (!courses.has(input)) {
+      courses.set(input, await Course.findOne({
+        $or: [{ code: input.toUpperCase() }, { title: input }]
+      }));
+    }
+    return courses.get(input);
+  };
+
+  for (const { line, values } of records.slice(1)) {
+    const data = {};
+    // Empty cells count as missing, so they are reported as required
+    fields.forEach((field, i) => {
+      const value = field && sanitizeInput(values[i] || '');
+      if (value) data[field] = value;
+    });
+
+    const result = { row: line, email: data.email || undefined };
+    rows.push(result);
+
+    const errors = validateSchema('EnrollmentApplication', data);
+    if (errors.length > 0) {
+      Object.assign(result, { status: 'invalid', errors });
+      continue;
+    }
+
+    const email = data.email.toLowerCase();
+    const earlierRow = seenEmails.get(email) || seenIdNumbers.get(data.idnumber);
+    if (earlierRow) {
+      Object.assign(result, { status: 'skipped', reason: `Duplicate of row ${earlierRow} in this file` });
+      continue;
+    }
+
+    // Same duplicate check as the enrollment form
+    const existingStudent = await Student.findOne({
+      $or: [{ email }, { idnumber: data.idnumber }]
+    }).select('_id email');
+
+    if (existingStudent) {
+      const duplicateField = existingStudent.email === email ? 'email' : 'ID number';
+      Object.assign(result, {
+        status: 'skipped',
+        reason: `A student with this ${duplicateField} already exists`,
+        existingStudentId: existingStudent._id
+      });
+      continue;
+    }
+
+    const course = await findCourse(String(data.course));
+    if (!course || !course.isActive) {
+      Object.assign(result, { status: 'invalid', errors: [{ field: 'course', message: 'Please select a valid course' }] });
+      continue;
+    }
+    if (!course.isOpen) {
+      Object.assign(result, { status: 'invalid', errors: [{ field: 'course', message: `Applications for ${course.title} are currently closed` }] });
+      continue;
+    }
+
+    const student = new Student({
+      firstName: data.firstName,
+      lastName: data.lastName,
+      email,
+      phone: data.phone,
+      idnumber: data.idnumber,
+      dateOfBirth: new Date(data.dateOfBirth),
+      course: course.title,
+      courseId: course._id,
+      address: data.address,
+      city: data.city,
+      zipCode: data.zipCode,
+      emergencyContact: data.emergencyContact,
+      emergencyPhone: data.emergencyPhone,
+      preferredLanguage: data.preferredLanguage || undefined,
+      source: 'import',
+      importedBy: actor && actor._id
+    });
+
+    try {
+      await student.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      Object.assign(result, { status: 'invalid', errors: fieldErrors(error) });
+      continue;
+    }
+
+    seenEmails.set(email, line);
+    seenIdNumbers.set(data.idnumber, line);
+
+    if (dryRun) {
+      // Work out who would be waitlisted without touching the seat counters
+      const courseKey = course._id.toString();
+      if (!plannedSeats.has(courseKey)) plannedSeats.set(courseKey, course.seatsAvailable);
+      const seatsLeft = plannedSeats.get(courseKey);
+      const getsSeat = seatsLeft === null || seatsLeft > 0;
+      if (getsSeat && seatsLeft !== null) plannedSeats.set(courseKey, seatsLeft - 1);
+
+      const matches = await findPossibleDuplicates(student);
+      Object.assign(result, {
+        status: 'created',
+        course: course.title,
+        applicationStatus: getsSeat ? 'pending' : 'waitlisted',
+        possibleDuplicates: matches.length
+      });
+      continue;
+    }
+
+    const seatAcquired = await acquireSeat(course._id);
+    student.status = seatAcquired ? 'pending' : 'waitlisted';
+    student.waitlistedAt = seatAcquired ? undefined : new Date();
+
+    try {
+      await student.save();
+    } catch (error) {
+      if (seatAcquired) {
+        await releaseSeat(course._id).catch((seatError) => {
+          console.error('❌ Could not release course seat:', seatError);
+        });
+      }
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyValue)[0].replace(/^blindIndex\./, '');
+        Object.assign(result, { status: 'skipped', reason: `A student with this ${field} already exists` });
+      } else if (error.name === 'ValidationError') {
+        Object.assign(result, { status: 'invalid', errors: fieldErrors(error) });
+      } else {
+        console.error(`❌ Import error on row ${line}:`, error);
+        Object.assign(result, { status: 'invalid', reason: 'Could not be saved, please try this row again' });
+      }
+      continue;
+    }
+
+    // Possible duplicates are still created, but flagged for review
+    const matches = await flagPossibleDuplicates(student).catch((duplicateError) => {
+      console.error('❌ Duplicate check failed:', duplicateError);
+      return [];
+    });
+
+    Object.assign(result, {
+      status: 'created',
+      studentId: student._id,
+      applicationId: student._id.toString().slice(-8).toUpperCase(),
+      course: student.course,
+      applicationStatus: student.status,
+      possibleDuplicates: matches.length
+    });
+
+    if (notify) {
+      await queueConfirmationEmail(student).catch((emailError) => {
+        console.error('❌ Email queueing failed:', emailError);
+      });
+    }
+  }
+
+  const summary = { total: rows.length, created: 0, skipped: 0, invalid: 0 };
+  rows.forEach((row) => { summary[row.status]++; });
+
+  console.log(`📥 ${dryRun ? 'Dry run: ' : ''}CSV import by ${actor ? actor.email : 'unknown'}: ${summary.created} created, ${summary.skipped} skipped, ${summary.invalid} invalid`);
+
+  return { dryRun, summary, ignoredColumns, rows };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  importStudents
+};
@@ -0,0 +1,36 @@
+const { config } = require('../../../config');
+
+// Turnstile, hCaptcha and reCAPTCHA share the same siteverify API: POST the
+// secret and the widget's token as a form, get back { success, score?, ... }
+const TIMEOUT_MS = 5000;
+
+const createSiteverifyDriver = (name, url) => {
+  // Required for these providers (checked at boot, see config/settings.js)
+  const secret = config.antiAbuse.captcha.secretKey;
+
+  return {
+    name,
+
+    verify: async (token, { ip } = {}) => {
+      const form = new URLSearchParams({ secret, response: token });
+      if (ip) form.set('remoteip', ip);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        body: form,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`${name} siteverify responded ${response.status}`);
+      }
+
+      const result = await response.json();
+      return {
+        success: result.success === true,
+        score: typeof result.score === 'number' ? result.score : undefined
+      };
+    }
+  };
+};
+
+module.exports = createSiteverifyDriver;
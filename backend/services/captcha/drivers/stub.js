@@ -0,0 +1,19 @@
+const { config } = require('../../../config');
+
+// Local stand-in for tests and development: accepts CAPTCHA_STUB_TOKEN (default
+// "test-pass") and rejects anything else, without calling out to a provider
+const createStubDriver = () => {
+  const passToken = config.antiAbuse.captcha.stubToken;
+  const score = config.antiAbuse.captcha.stubScore === null ? undefined : config.antiAbuse.captcha.stubScore;
+
+  return {
+    name: 'stub',
+
+    verify: async (token) => ({
+      success: token === passToken,
+      score
+    })
+  };
+};
+
+module.exports = createStubDriver;
@@ -0,0 +1,34 @@
+const { config } = require('../../config');
+
+// Every CAPTCHA driver implements:
+//   name                       shown in logs and sent to the form with the site key
+//   verify(token, { ip })      resolves to { success, score? } for the token the widget produced;
+//                              rejects when the provider can't be reached
+// CAPTCHA_PROVIDER picks the driver (default: none, which turns the check off)
+const drivers = {
+  stub: () => require('./drivers/stub')(),
+  turnstile: () => require('./drivers/siteverify')('turnstile', 'https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  hcaptcha: () => require('./drivers/siteverify')('hcaptcha', 'https://api.hcaptcha.com/siteverify'),
+  recaptcha: () => require('./drivers/siteverify')('recaptcha', 'https://www.google.com/recaptcha/api/siteverify')
+};
+
+let captcha;
+
+// Shared verifier, or null when no CAPTCHA is configured
+const getCaptcha = () => {
+  if (captcha === undefined) {
+    const name = config.antiAbuse.captcha.provider;
+    if (name === 'none') {
+      captcha = null;
+      return captcha;
+    }
+    captcha = drivers[name]();
+    if (name === 'stub' && config.env === 'production') {
+      console.warn('⚠️ CAPTCHA_PROVIDER=stub accepts a fixed token; don\'t use it in production');
+    }
+    console.log(`🤖 CAPTCHA provider: ${captcha.name}`);
+  }
+  return captcha;
+};
+
+module.exports = { getCaptcha };
@@ -0,0 +1,49 @@
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+
+// Statuses that occupy a seat in the course
+const SEAT_HOLDING_STATUSES = ['pending', 'approved'];
+
+const holdsSeat = (status) => SEAT_HOLDING_STATUSES.includes(status);
+
+// Take a seat if one is free. Atomic, so two applicants can't get the last seat.
+const acquireSeat = async (courseId) => {
+  const course = await Course.findOneAndUpdate(
+    {
+      _id: courseId,
+      $or: [
+        { capacity: null },
+        { $expr: { $lt: ['$seatsTaken', '$capacity'] } }
+      ]
+    },
+    { $inc: { seatsTaken: 1 } },
+    { new: true }
+  );
+  return Boolean(course);
+};
+
+const releaseSeat = (courseId) => {
+  return Course.updateOne(
+    { _id: courseId, seatsTaken: { $gt: 0 } },
+    { $inc: { seatsTaken: -1 } }
+  );
+};
+
+// Rebuild the seat counter from the applications themselves (erased ones gave up their seat)
+const recountSeats = async (courseId) => {
+  const seatsTaken = await Student.countDocuments({
+    courseId,
+    status: { $in: SEAT_HOLDING_STATUSES },
+    erasedAt: null
+  });
+  await Course.updateOne({ _id: courseId }, { $set: { seatsTaken } });
+  return seatsTaken;
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  holdsSeat,
+  acquireSeat,
+  releaseSeat,
+  recountSeats
+};
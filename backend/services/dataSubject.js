@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Document = require('../models/Document');
+const EmailJob = require('../models/EmailJob');
+const ActionToken = require('../models/ActionToken');
+const VerificationCode = require('../models/VerificationCode');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const httpError = require('../utils/httpError');
+const { getStorage } = require('./storage');
+const { holdsSeat, releaseSeat } = require('./courseSeats');
+const { promoteFromWaitlist } = require('./applicationStatus');
+const { forgetDuplicateMatches } = require('./duplicates');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Personal data removed on erasure. Course, status, dates, city and birth year
+// stay so enrollment statistics don't change.
+const ERASED_FIELDS = [
+  'phone', 'phoneKey', 'idnumber', 'dateOfBirth', 'address', 'zipCode',
+  'emergencyContact', 'emergencyPhone', 'blindIndex', 'editHistory', 'mergeHistory',
+  'ipAddress', 'userAgent'
+];
+
+const findStudent = async (studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    throw httpError(400, 'Invalid student ID format', 'INVALID_ID');
+  }
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    throw httpError(404, 'Student not found', 'NOT_FOUND');
+  }
+  if (student.erasedAt) {
+    throw httpError(410, 'This applicant\'s personal data has been erased', 'APPLICATION_ERASED');
+  }
+  return student;
+};
+
+// Everything held about one applicant, as a machine-readable bundle
+const buildDataExport = async (studentId) => {
+  const student = await findStudent(studentId);
+
+  const [documents, emails] = await Promise.all([
+    Document.find({ student: student._id }).select('-__v').sort({ createdAt: 1 }),
+    // Emails sent to the applicant (not internal staff notifications)
+    EmailJob.find({ student: student._id, 'message.to': student.email })
+      .select('type message.to message.subject message.text status sentAt createdAt')
+      .sort({ createdAt: 1 })
+  ]);
+
+  const { statusHistory, editHistory, mergeHistory, duplicateCheck, __v, ...application } = student.toJSON();
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    applicationId: student._id,
+    application,
+    statusHistory: statusHistory.map(({ changedBy, changedByEmail, ...change }) => change),
+    editHistory,
+    documents: documents.map((document) => document.toJSON()),
+    emails: emails.map((email) => ({
+      type: email.type,
+      to: email.message.to,
+      subject: email.message.subject,
+      text: email.message.text,
+      status: email.status,
+      queuedAt: email.createdAt,
+      sentAt: email.sentAt
+    }))
+  };
+};
+
+// Anonymize an application: personal data is removed, its documents, emails and
+// links are deleted, and its seat is freed. The record itself stays for statistics.
+// actor is the admin handling the request, or null when a retention rule erases it.
+const eraseStudent = async (studentId, { actor = null } = {}) => {
+  const student = await findStudent(studentId);
+  const now = new Date();
+
+  const erased = await Student.findOneAndUpdate(
+    { _id: student._id, erasedAt: null },
+    {
+      $set: {
+        firstName: 'Erased',
+        lastName: 'Applicant',
+        // Email is unique, so each erased record gets its own unroutable address
+        email: `erased-${student._id}@erased.invalid`,
+        // Decision reasons are free text and may mention the applicant
+        statusHistory: student.statusHistory.map((change) => ({ ...change.toObject(), reason: undefined })),
+        duplicateCheck: { status: 'clear', matches: [], checkedAt: now },
+        erasedAt: now,
+        erasedBy: actor ? actor._id : undefined
+      },
+      $unset: Object.fromEntries(ERASED_FIELDS.map((field) => [field, 1]))
+    },
+    { new: true }
+  ).select('-__v');
+
+  if (!erased) {
+    throw httpError(409, 'This application was erased by someone else', 'APPLICATION_ERASED');
+  }
+
+  // Stored files first, then the records pointing at them
+  const documents = await Document.find({ student: student._id }).select('+storageKey');
+  const storage = documents.length > 0 ? getStorage() : null;
+  const failedFiles = [];
+  for (const document of documents) {
+    await storage.delete(document.storageKey).catch((error) => {
+      console.error(`❌ Could not delete stored file for document ${document._id}:`, error);
+      failedFiles.push(document.storageKey);
+    });
+  }
+
+  const [deletedDocuments, deletedEmails] = await Promise.all([
+    Document.deleteMany({ student: student._id }),
+    EmailJob.deleteMany({ student: student._id }),
+    ActionToken.deleteMany({ student: student._id }),
+    VerificationCode.deleteMany({ student: student._id }),
+    // Stored submission responses (for Idempotency-Key replays) include the email address
+    IdempotencyKey.deleteMany({ 'responseBody.data.studentId': student._id.toString() }),
+    forgetDuplicateMatches(student._id)
+  ]);
+
+  if (student.courseId && holdsSeat(student.status)) {
+    await releaseSeat(student.courseId);
+    await promoteFromWaitlist(student.courseId);
+  }
+
+  console.log(`🧹 Personal data for application ${student._id} erased ${actor ? `by ${actor.email}` : 'by retention policy'}`);
+
+  return {
+    student: erased,
+    summary: {
+      documentsDeleted: deletedDocuments.deletedCount,
+      emailsDeleted: deletedEmails.deletedCount,
+      seatReleased: Boolean(student.courseId && holdsSeat(student.status)),
+      // Files the storage driver couldn't remove; they need deleting by hand
+      failedFiles
+    }
+  };
+};
+
+module.exports = {
+  ERASED_FIELDS,
+  buildDataExport,
+  eraseStudent
+};
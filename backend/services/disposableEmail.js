@@ -0,0 +1,50 @@
+const fs = require('fs');
+const { config } = require('../config');
+
+// Well-known throwaway mail services. Extend with DISPOSABLE_EMAIL_DOMAINS
+// (comma-separated) or DISPOSABLE_EMAIL_DOMAINS_FILE (one domain per line, # comments).
+const BUILT_IN_DOMAINS = [
+  '10minutemail.com', '20minutemail.com', 'anonaddy.me', 'burnermail.io', 'discard.email',
+  'dispostable.com', 'emailondeck.com', 'fakeinbox.com', 'getairmail.com', 'getnada.com',
+  'guerrillamail.com', 'guerrillamail.net', 'guerrillamailblock.com', 'harakirimail.com',
+  'inboxkitten.com', 'mailcatch.com', 'maildrop.cc', 'mailinator.com', 'mailnesia.com',
+  'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email', 'sharklasers.com',
+  'spamgourmet.com', 'temp-mail.org', 'tempail.com', 'tempmail.dev', 'tempmailo.com',
+  'tempr.email', 'throwawaymail.com', 'trashmail.com', 'yopmail.com', 'yopmail.net'
+];
+
+const parseDomains = (text) => text
+  .split('\n')
+  .flatMap((line) => line.replace(/#.*/, '').split(/[\s,]+/))
+  .map((domain) => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+let domains = null;
+
+const loadDomains = () => {
+  const loaded = new Set(BUILT_IN_DOMAINS);
+  config.antiAbuse.disposableDomains.forEach((domain) => loaded.add(domain.toLowerCase()));
+
+  if (config.antiAbuse.disposableDomainsFile) {
+    parseDomains(fs.readFileSync(config.antiAbuse.disposableDomainsFile, 'utf8'))
+      .forEach((domain) => loaded.add(domain));
+  }
+  return loaded;
+};
+
+// True when the address is at a disposable domain or one of its subdomains
+const isDisposableEmail = (email) => {
+  if (!domains) domains = loadDomains();
+
+  const domain = String(email).split('@').pop().trim().toLowerCase();
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (domains.has(labels.slice(i).join('.'))) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  BUILT_IN_DOMAINS,
+  isDisposableEmail
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const path = require('path');
+const Document = require('../models/Document');
+const httpError = require('../utils/httpError');
+const { getStorage } = require('./storage');
+const { config } = require('../config');
+
+const MAX_DOCUMENT_SIZE = config.documents.maxSizeMb * 1024 * 1024;
+const MAX_DOCUMENTS_PER_APPLICATION = 20;
+
+// Accepted file types, identified by their leading bytes rather than the client's word
+const FILE_SIGNATURES = [
+  { mimeType: 'application/pdf', extension: '.pdf', magic: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: 'image/jpeg', extension: '.jpg', magic: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: '.png', magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+const detectFileType = (buffer) => {
+  return FILE_SIGNATURES.find(({ magic }) => {
+    return buffer.length >= magic.length && magic.every((byte, i) => buffer[i] === byte);
+  });
+};
+
+// Document types admissions needs verified before approving (e.g. "national-id,transcript")
+const getRequiredDocumentTypes = () => {
+  return config.documents.requiredTypes;
+};
+
+// Validate an uploaded file (from multer's memory storage) and store it
+const saveDocument = async (student, file, { type, uploadedBy }) => {
+  if (!file) {
+    throw httpError(400, 'A file is required (multipart field "file")', 'FILE_REQUIRED');
+  }
+
+  if (!Document.DOCUMENT_TYPES.includes(type)) {
+    throw httpError(400, `Document type must be one of: ${Document.DOCUMENT_TYPES.join(', ')}`, 'INVALID_DOCUMENT_TYPE');
+  }
+
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    throw httpError(413, `Files cannot be larger than ${MAX_DOCUMENT_SIZE / (1024 * 1024)} MB`, 'FILE_TOO_LARGE');
+  }
+
+  const fileType = detectFileType(file.buffer);
+  if (!fileType) {
+    throw httpError(415, 'Only PDF, JPEG and PNG files are accepted', 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  const count = await Document.countDocuments({ student: student._id });
+  if (count >= MAX_DOCUMENTS_PER_APPLICATION) {
+    throw httpError(409, `An application can have at most ${MAX_DOCUMENTS_PER_APPLICATION} documents`, 'TOO_MANY_DOCUMENTS');
+  }
+
+  const storageKey = `students/${student._id}/${crypto.randomBytes(12).toString('hex')}${fileType.extension}`;
+  const storage = getStorage();
+  await storage.put(storageKey, file.buffer, { contentType: fileType.mimeType });
+
+  try {
+    const document = await Document.create({
+      student: student._id,
+      type,
+      originalName: path.basename(file.originalname || `document${fileType.extension}`).slice(0, 255),
+      mimeType: fileType.mimeType,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storageKey,
+      uploadedBy
+    });
+
+    console.log(`📎 Document ${document._id} (${type}) uploaded for application ${student._id}`);
+
+    return document;
+  } catch (error) {
+    await storage.delete(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+const findDocument = async (studentId, documentId, { withKey = false } = {}) => {
+  const query = Document.findOne({ _id: documentId, student: studentId }).select('-__v');
+  const document = await (withKey ? query.select('+storageKey') : query);
+  if (!document) {
+    throw httpError(404, 'Document not found', 'NOT_FOUND');
+  }
+  return document;
+};
+
+// Stream for downloading a stored document
+const openDocument = async (studentId, documentId) => {
+  const document = await findDocument(studentId, documentId, { withKey: true });
+  const stream = await getStorage().getStream(document.storageKey);
+  return { document, stream };
+};
+
+// Record a reviewer's verdict on a document
+const setVerification = async (studentId, documentId, { status, note, actor }) => {
+  if (!Document.VERIFICATION_STATUSES.includes(status)) {
+    throw httpError(400, `Verification status must be one of: ${Document.VERIFICATION_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  if (status === 'rejected' && !(typeof note === 'string' && note.trim())) {
+    throw httpError(400, 'A note is required when rejecting a document', 'NOTE_REQUIRED');
+  }
+
+  const document = await findDocument(studentId, documentId);
+  document.verificationStatus = status;
+  document.verificationNote = typeof note === 'string' ? note.trim() : undefined;
+  document.verifiedBy = status === 'pending' ? undefined : actor._id;
+  document.verifiedAt = status === 'pending' ? undefined : new Date();
+  await document.save();
+
+  console.log(`📎 Document ${document._id} marked ${status} by ${actor.email}`);
+
+  return document;
+};
+
+// Required document types that don't yet have a verified upload
+const getMissingRequiredDocuments = async (studentId) => {
+  const required = getRequiredDocumentTypes();
+  if (required.length === 0) return [];
+
+  const verified = await Document.distinct('type', {
+    student: studentId,
+    type: { $in: required },
+    verificationStatus: 'verified'
+  });
+  return required.filter((type) => !verified.includes(type));
+};
+
+module.exports = {
+  MAX_DOCUMENT_SIZE,
+  saveDocument,
+  openDocument,
+  setVerification,
+  getMissingRequiredDocuments
+};
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Document = require('../models/Document');
+const EmailJob = require('../models/EmailJob');
+const ActionToken = require('../models/ActionToken');
+const VerificationCode = require('../models/VerificationCode');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const httpError = require('../utils/httpError');
+const { normalizePhone, normalizeName, normalizeAddress } = require('../utils/normalize');
+const { holdsSeat, releaseSeat } = require('./courseSeats');
+const { promoteFromWaitlist } = require('./applicationStatus');
+const { revokeDecisionLinks } = require('./reviewLinks');
+const { config } = require('../config');
+
+// Applications scoring at least this much (out of 100) are flagged for review
+const DUPLICATE_SCORE_THRESHOLD = config.duplicates.scoreThreshold;
+const MAX_CANDIDATES = 100;
+
+// How much each kind of evidence adds to the score
+const WEIGHTS = {
+  phone: 35,
+  dateOfBirth: 25,
+  name: 30,
+  address: 10
+};
+const NAME_SIMILARITY_MIN = 0.8;
+const ADDRESS_SIMILARITY_MIN = 0.7;
+
+// Fields an admin can take from the duplicate when merging
+const MERGEABLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'idnumber', 'dateOfBirth', 'address',
+  'city', 'zipCode', 'emergencyContact', 'emergencyPhone', 'preferredLanguage'
+];
+
+// Jaro-Winkler similarity (0-1), good at typos and transposed letters in short strings like names
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Full-name similarity, allowing for first and last name swapped around
+const nameSimilarity = (a, b) => {
+  const aName = normalizeName(`${a.firstName} ${a.lastName}`);
+  const bName = normalizeName(`${b.firstName} ${b.lastName}`);
+  const bSwapped = normalizeName(`${b.lastName} ${b.firstName}`);
+  return Math.max(jaroWinkler(aName, bName), jaroWinkler(aName, bSwapped));
+};
+
+const sameDay = (a, b) => {
+  if (!a || !b) return false;
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Score how likely two applications are the same person (0-100) and say why
+const scoreMatch = (student, other) => {
+  let score = 0;
+  const reasons = [];
+
+  const phone = normalizePhone(student.phone);
+  if (phone && phone === normalizePhone(other.phone)) {
+    score += WEIGHTS.phone;
+    reasons.push('Same phone number');
+  }
+
+  if (sameDay(student.dateOfBirth, other.dateOfBirth)) {
+    score += WEIGHTS.dateOfBirth;
+    reasons.push('Same date of birth');
+  }
+
+  const names = nameSimilarity(student, other);
+  if (names >= NAME_SIMILARITY_MIN) {
+    score += WEIGHTS.name * names;
+    reasons.push(names === 1 ? 'Same name' : `Similar name (${percent(names)})`);
+  }
+
+  const addresses = jaroWinkler(normalizeAddress(student.address), normalizeAddress(other.address));
+  if (addresses >= ADDRESS_SIMILARITY_MIN) {
+    score += WEIGHTS.address * addresses;
+    reasons.push(addresses === 1 ? 'Same address' : `Similar address (${percent(addresses)})`);
+  }
+
+  return { score: Math.round(score), reasons };
+};
+
+// Existing applications that score above the threshold against this one, best first.
+// Candidates share a phone number or date of birth, which every strong match has.
+// Erased applications are never candidates (nor checked themselves).
+const findPossibleDuplicates = async (student) => {
+  if (student.erasedAt) return [];
+
+  const candidates = [];
+  const phoneKey = normalizePhone(student.phone);
+  if (phoneKey) candidates.push({ phoneKey });
+  if (student.dateOfBirth) candidates.push({ dateOfBirth: student.dateOfBirth });
+  if (candidates.length === 0) return [];
+
+  const others = await Student.find({ _id: { $ne: student._id }, erasedAt: null, $or: candidates })
+    .select('firstName lastName phone dateOfBirth address')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return others
+    .map((other) => Student.decryptFields(other))
+    .map((other) => ({ student: other._id, ...scoreMatch(student, other) }))
+    .filter((match) => match.score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Check a saved application and flag it for review if it looks like a duplicate
+const flagPossibleDuplicates = async (student) => {
+  const matches = await findPossibleDuplicates(student);
+  const duplicateCheck = {
+    status: matches.length > 0 ? 'flagged' : 'clear',
+    matches,
+    checkedAt: new Date()
+  };
+
+  await Student.updateOne({ _id: student._id }, { $set: { duplicateCheck } });
+  student.duplicateCheck = duplicateCheck;
+
+  if (matches.length > 0) {
+    console.log(`👯 Application ${student._id} flagged as a possible duplicate of ${matches.map((m) => m.student).join(', ')}`);
+  }
+
+  return matches;
+};
+
+// Reviewer decided the flagged application is not a duplicate
+const dismissDuplicateFlag = async (studentId, { actor }) => {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    throw httpError(400, 'Invalid student ID format', 'INVALID_ID');
+  }
+
+  const student = await Student.findOneAndUpdate(
+    { _id: studentId, 'duplicateCheck.status': 'flagged' },
+    {
+      $set: {
+        'duplicateCheck.status': 'dismissed',
+        'duplicateCheck.reviewedBy': actor._id,
+        'duplicateCheck.reviewedAt': new Date()
+      }
+    },
+    { new: true }
+  ).select('-__v');
+
+  if (!student) {
+    const exists = await Student.exists({ _id: studentId });
+    throw exists
+      ? httpError(409, 'This application is not flagged as a possible duplicate', 'NOT_FLAGGED')
+      : httpError(404, 'Student not found', 'NOT_FOUND');
+  }
+
+  return student;
+};
+
+// Remove an application from other applications' duplicate matches (it was merged
+// or erased). Anything flagged only because of it no longer needs review.
+const forgetDuplicateMatches = async (studentId) => {
+  await Student.updateMany(
+    { 'duplicateCheck.matches.student': studentId },
+    { $pull: { 'duplicateCheck.matches': { student: studentId } } }
+  );
+  await Student.updateMany(
+    { 'duplicateCheck.status': 'flagged', 'duplicateCheck.matches': { $size: 0 } },
+    { $set: { 'duplicateCheck.status': 'clear' } }
+  );
+};
+
+// Fold the duplicate application into the primary one. The duplicate is removed,
+// but a snapshot of it (including its status and edit history) is kept on the primary.
+// takeFields lists the duplicate's values that should replace the primary's.
+const mergeStudents = async (primaryId, duplicateId, { actor, takeFields = [] }) => {
+  if (![primaryId, duplicateId].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError(400, 'Invalid student ID format', 'INVALID_ID');
+  }
+  if (String(primaryId) === String(duplicateId)) {
+    throw httpError(400, 'An application cannot be merged into itself', 'INVALID_MERGE');
+  }
+
+  const fields = Array.isArray(takeFields) ? takeFields : [];
+  const notMergeable = fields.filter((field) => !MERGEABLE_FIELDS.includes(field));
+  if (notMergeable.length > 0) {
+    throw httpError(400, `These fields cannot be merged: ${notMergeable.join(', ')}. Mergeable fields: ${MERGEABLE_FIELDS.join(', ')}`, 'INVALID_MERGE');
+  }
+
+  const [primary, duplicate] = await Promise.all([
+    Student.findById(primaryId),
+    Student.findById(duplicateId)
+  ]);
+  if (!primary || !duplicate) {
+    throw httpError(404, 'Student not found', 'NOT_FOUND');
+  }
+  if (primary.erasedAt || duplicate.erasedAt) {
+    throw httpError(410, 'This applicant\'s personal data has been erased', 'APPLICATION_ERASED');
+  }
+
+  if (duplicate.status === 'approved' && primary.status !== 'approved') {
+    throw httpError(409, 'The duplicate has been approved. Merge the other application into it instead.', 'INVALID_MERGE');
+  }
+
+  // Stored values, so the encrypted fields stay encrypted in the snapshot
+  const snapshot = duplicate.toObject({ depopulate: true, getters: false });
+  delete snapshot.__v;
+  delete snapshot.mergeHistory;
+
+  fields.forEach((field) => { primary[field] = duplicate[field]; });
+  primary.mergeHistory.push({
+    student: duplicate._id,
+    fieldsTaken: fields,
+    snapshot,
+    mergedBy: actor._id,
+    mergedByEmail: actor.email,
+    mergedAt: new Date()
+  });
+
+  // The merge settles the duplicate question for this pair
+  primary.duplicateCheck.matches = primary.duplicateCheck.matches.filter((match) => !match.student.equals(duplicate._id));
+  if (primary.duplicateCheck.status === 'flagged' && primary.duplicateCheck.matches.length === 0) {
+    primary.duplicateCheck.status = 'dismissed';
+    primary.duplicateCheck.reviewedBy = actor._id;
+    primary.duplicateCheck.reviewedAt = new Date();
+  }
+
+  // Catch validation problems before anything is removed
+  await primary.validate();
+
+  // Remove the duplicate first so its email / ID number are free to move over
+  const removed = await Student.findOneAndDelete({ _id: duplicate._id, status: duplicate.status, erasedAt: null })
+    .select('+blindIndex.idnumber +blindIndex.dateOfBirth');
+  if (!removed) {
+    throw httpError(409, 'The duplicate application was changed by someone else. Please reload and try again.', 'STATUS_CONFLICT');
+  }
+
+  try {
+    await primary.save();
+  } catch (error) {
+    // Put the duplicate back as it was
+    await Student.collection.insertOne(removed.toObject({ depopulate: true, getters: false })).catch((restoreError) => {
+      console.error(`❌ Could not restore application ${duplicate._id} after a failed merge:`, restoreError);
+    });
+    throw error;
+  }
+
+  // Everything else held about the duplicate moves to the primary (so erasing the
+  // primary later reaches it too) or goes, if it only made sense for the duplicate
+  await revokeDecisionLinks(duplicate._id);
+  await Promise.all([
+    Document.updateMany({ student: duplicate._id }, { $set: { student: primary._id } }),
+    EmailJob.updateMany({ student: duplicate._id }, { $set: { student: primary._id } }),
+    ActionToken.updateMany({ student: duplicate._id }, { $set: { student: primary._id } }),
+    VerificationCode.deleteMany({ student: duplicate._id }),
+    // Stored submission responses (for Idempotency-Key replays) include the email address
+    IdempotencyKey.deleteMany({ 'responseBody.data.studentId': duplicate._id.toString() }),
+    forgetDuplicateMatches(duplicate._id)
+  ]);
+
+  if (duplicate.courseId && holdsSeat(duplicate.status)) {
+    await releaseSeat(duplicate.courseId);
+    await promoteFromWaitlist(duplicate.courseId);
+  }
+
+  console.log(`🔗 Application ${duplicate._id} merged into ${primary._id} by ${actor.email}`);
+
+  return Student.findById(primary._id).select('-__v');
+};
+
+module.exports = {
+  DUPLICATE_SCORE_THRESHOLD,
+  MERGEABLE_FIELDS,
+  scoreMatch,
+  findPossibleDuplicates,
+  flagPossibleDuplicates,
+  dismissDuplicateFlag,
+  forgetDuplicateMatches,
+  mergeStudents
+};
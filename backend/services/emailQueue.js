@@ -0,0 +1,162 @@
+const EmailJob = require('../models/EmailJob');
+const httpError = require('../utils/httpError');
+const { config } = require('../config');
+
+const POLL_INTERVAL_MS = config.email.queuePollMs;
+const MAX_ATTEMPTS = config.email.maxAttempts;
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, ...
+const BACKOFF_MAX_MS = 60 * 60 * 1000; // never wait more than an hour
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // reclaim jobs from a worker that died mid-send
+const BATCH_SIZE = 20;
+
+let sendMail = null;
+let timer = null;
+let processing = false;
+
+// Delay before the next attempt, with jitter so retries don't all fire together
+const getBackoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Store an email for delivery by the worker. Resolves once the job is saved.
+const enqueueEmail = async (message, { type, student, maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const job = await EmailJob.create({
+    type: type || 'generic',
+    student: student ? student._id || student : undefined,
+    message,
+    maxAttempts
+  });
+
+  // Send right away instead of waiting for the next poll
+  setImmediate(processQueue);
+
+  return job;
+};
+
+// Atomically claim the next due job so concurrent workers never send it twice
+const claimNextJob = () => {
+  const now = new Date();
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Drop the rendered bodies once a job is finished with (sent or dead): they can
+// hold applicant details and would otherwise stay in the database indefinitely
+const purgeBody = (job) => {
+  job.message.html = undefined;
+  job.message.text = undefined;
+};
+
+const deliverJob = async (job) => {
+  try {
+    const info = await sendMail(job.toObject().message);
+
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.messageId = info && info.messageId;
+    job.attempts += 1;
+    job.lockedAt = undefined;
+    job.lastError = undefined;
+    purgeBody(job);
+    await job.save();
+
+    console.log(`📧 Email sent (${job.type}) to ${job.message.to}`);
+  } catch (error) {
+    job.attempts += 1;
+    job.lastError = error.message;
+    job.failures.push({ message: error.message });
+    job.lockedAt = undefined;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      purgeBody(job);
+      console.error(`❌ Email ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+    } else {
+      job.status = 'queued';
+      job.nextAttemptAt = new Date(Date.now() + getBackoffDelay(job.attempts));
+      console.error(`⚠️ Email ${job._id} (${job.type}) failed, retrying at ${job.nextAttemptAt.toISOString()}:`, error.message);
+    }
+
+    await job.save();
+  }
+};
+
+// Send every due job, a batch at a time
+const processQueue = async () => {
+  if (processing || !sendMail) return;
+  processing = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await deliverJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Email queue processing error:', error.message);
+  } finally {
+    processing = false;
+  }
+};
+
+// Start polling the queue; send is called with nodemailer-style message objects
+const startEmailWorker = (send) => {
+  sendMail = send;
+  if (timer) return;
+
+  timer = setInterval(processQueue, POLL_INTERVAL_MS);
+  timer.unref();
+  console.log(`📬 Email worker started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+};
+
+const stopEmailWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// A job that still has something to send (bodies are removed once it is sent or dead)
+const HAS_BODY = { $or: [{ 'message.html': { $exists: true } }, { 'message.text': { $exists: true } }] };
+
+// Put a stuck job (or a dead-lettered one whose body is still stored) back on the
+// queue with a fresh set of attempts
+const resendJob = async (id) => {
+  const job = await EmailJob.findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'queued'] }, ...HAS_BODY },
+    {
+      $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lockedAt: '' }
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    const existing = await EmailJob.findById(id).select('status').lean();
+    if (!existing) throw httpError(404, 'Email not found', 'NOT_FOUND');
+    throw existing.status === 'dead'
+      ? httpError(409, 'This email\'s content was removed when it failed; send it again from the application instead', 'EMAIL_CONTENT_REMOVED')
+      : httpError(409, 'Only dead-lettered or queued emails can be resent', 'INVALID_EMAIL_STATE');
+  }
+
+  setImmediate(processQueue);
+
+  return job;
+};
+
+module.exports = {
+  enqueueEmail,
+  processQueue,
+  startEmailWorker,
+  stopEmailWorker,
+  resendJob
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const httpError = require('../utils/httpError');
+const { config } = require('../config');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const LOCALES = ['en', 'sw'];
+const DEFAULT_LOCALE = 'en';
+const DATE_LOCALES = { en: 'en-US', sw: 'sw-KE' };
+
+const engine = Handlebars.create();
+
+const DATE_FORMATS = {
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  short: { year: 'numeric', month: 'short', day: 'numeric' },
+  datetime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+};
+
+// {{formatDate value "long"}} in the template's locale
+engine.registerHelper('formatDate', (value, format, options) => {
+  const style = typeof format === 'string' ? format : 'long';
+  const locale = (options || format).data.root.locale;
+  if (!value) return '';
+  return new Date(value).toLocaleDateString(DATE_LOCALES[locale] || DATE_LOCALES.en, DATE_FORMATS[style] || DATE_FORMATS.long);
+});
+
+const cache = new Map();
+
+// Compiled template for one part (subject/html/text), falling back to the default locale
+const getTemplate = (name, locale, part) => {
+  const key = `${locale}/${name}/${part}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const extension = { subject: '.subject.txt', html: '.html', text: '.txt' }[part];
+  const candidates = [locale, DEFAULT_LOCALE].map((loc) => path.join(TEMPLATE_DIR, loc, `${name}${extension}`));
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+
+  if (!file) {
+    throw httpError(404, `Email template '${name}' not found`, 'TEMPLATE_NOT_FOUND');
+  }
+
+  // Variables are HTML-escaped in the HTML part only; subjects and plain text are left as-is
+  const template = engine.compile(fs.readFileSync(file, 'utf8'), { noEscape: part !== 'html' });
+
+  // Re-read templates on every render during development
+  if (config.env === 'production') {
+    cache.set(key, template);
+  }
+  return template;
+};
+
+const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+// Organisation details shown in every email
+const getBrand = () => ({
+  name: config.brand.name,
+  tagline: config.brand.tagline,
+  email: config.brand.supportEmail || config.email.adminEmail || config.email.user,
+  phone: config.brand.supportPhone
+});
+
+// Template variables for a Student document (or plain object)
+const studentContext = (student) => {
+  const data = typeof student.toObject === 'function' ? student.toObject() : { ...student };
+  return {
+    student: data,
+    applicationId: data._id.toString().slice(-8).toUpperCase()
+  };
+};
+
+// Render a template to { subject, html, text }
+const renderEmail = (name, context = {}, { locale } = {}) => {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw httpError(404, `Email template '${name}' not found`, 'TEMPLATE_NOT_FOUND');
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const data = {
+    brand: getBrand(),
+    now: new Date(),
+    ...context,
+    locale: resolvedLocale
+  };
+
+  return {
+    subject: getTemplate(name, resolvedLocale, 'subject')(data).trim(),
+    html: getTemplate(name, resolvedLocale, 'html')(data),
+    text: getTemplate(name, resolvedLocale, 'text')(data)
+  };
+};
+
+// Template names available in the default locale
+const listTemplates = () => {
+  return fs.readdirSync(path.join(TEMPLATE_DIR, DEFAULT_LOCALE))
+    .filter((file) => file.endsWith('.html'))
+    .map((file) => file.replace(/\.html$/, ''))
+    .sort();
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  renderEmail,
+  listTemplates,
+  studentContext
+};
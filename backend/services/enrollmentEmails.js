@@ -0,0 +1,39 @@
+const { enqueueEmail } = require('./emailQueue');
+const { formatFrom } = require('./mail');
+const { renderEmail, studentContext } = require('./emailTemplates');
+
+// Queue the "we received your application" email for a new application
+const queueConfirmationEmail = (student) => {
+  return enqueueEmail({
+    from: formatFrom('Admissions'),
+    to: student.email,
+    ...renderEmail('student-confirmation', {
+      ...studentContext(student),
+      waitlisted: student.status === 'waitlisted'
+    }, { locale: student.preferredLanguage }),
+    priority: 'high'
+  }, { type: 'student-confirmation', student });
+};
+
+// Queue the applicant's email for an approve/reject decision
+const sendStatusDecisionEmail = async (student, reason) => {
+  const templates = {
+    approved: 'application-approved',
+    rejected: 'application-rejected'
+  };
+
+  const template = templates[student.status];
+  if (!template) return;
+
+  try {
+    await enqueueEmail({
+      from: formatFrom('Admissions'),
+      to: student.email,
+      ...renderEmail(template, { ...studentContext(student), reason }, { locale: student.preferredLanguage })
+    }, { type: `status-${student.status}`, student });
+  } catch (emailError) {
+    console.error('❌ Status email queueing failed:', emailError);
+  }
+};
+
+module.exports = { queueConfirmationEmail, sendStatusDecisionEmail };
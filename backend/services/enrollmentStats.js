@@ -0,0 +1,161 @@
+const Student = require('../models/Student');
+const httpError = require('../utils/httpError');
+const { DAY_MS, parseDateParam } = require('../utils/dates');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const INTERVALS = ['day', 'week'];
+
+// Lower bounds of the age bands (applicants are 16-100)
+const AGE_BANDS = [16, 18, 21, 25, 30, 40, 101];
+
+const ageBandLabel = (lower) => {
+  const upper = AGE_BANDS[AGE_BANDS.indexOf(lower) + 1] - 1;
+  return upper >= 100 ? `${lower}+` : `${lower}-${upper}`;
+};
+
+// Date range and bucket size from the query string (defaults: last 30 days, daily)
+const parseStatsOptions = (params) => {
+  const interval = String(params.interval || 'day');
+  if (!INTERVALS.includes(interval)) {
+    throw httpError(400, `Interval must be one of: ${INTERVALS.join(', ')}`, 'INVALID_INTERVAL');
+  }
+
+  const to = params.to ? parseDateParam(params.to, 'to', { endOfDay: true }) : new Date();
+  const from = params.from ? parseDateParam(params.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to) {
+    throw httpError(400, '"from" must be before "to"', 'INVALID_DATE');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw httpError(400, `The date range cannot be longer than ${MAX_RANGE_DAYS} days`, 'INVALID_DATE');
+  }
+
+  return { from, to, interval };
+};
+
+// Start of the UTC day / ISO week (Monday) containing the date
+const truncateDate = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// One entry per day/week in the range, including the empty ones
+const fillTimeSeries = (buckets, { from, to, interval }) => {
+  const counts = new Map(buckets.map(({ _id, count }) => [_id.getTime(), count]));
+  const step = interval === 'week' ? 7 : 1;
+  const series = [];
+
+  for (let date = truncateDate(from, interval); date <= to; date = new Date(date.getTime() + step * DAY_MS)) {
+    series.push({ date: date.toISOString().slice(0, 10), count: counts.get(date.getTime()) || 0 });
+  }
+  return series;
+};
+
+const toCounts = (buckets) => buckets.map(({ _id, count }) => ({ value: _id === null ? 'unknown' : _id, count }));
+
+const toDays = (ms) => (ms === null ? null : Math.round((ms / DAY_MS) * 10) / 10);
+
+// Application counts, submission time series and decision times for applications
+// submitted in the range (plus any course/status filter)
+const getEnrollmentStats = async ({ from, to, interval }, filter = {}) => {
+  const [result] = await Student.aggregate([
+    { $match: { ...filter, enrollmentDate: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byCourse: [
+          { $group: { _id: '$course', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        byCity: [
+          { $group: { _id: '$city', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 }
+        ],
+        // Age (in years) at the time of applying; dateOfBirth is encrypted so birthYear is used
+        byAgeBand: [
+          {
+            $bucket: {
+              groupBy: { $subtract: [{ $year: '$enrollmentDate' }, '$birthYear'] },
+              boundaries: AGE_BANDS,
+              default: 'unknown',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        timeSeries: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$enrollmentDate', unit: interval, startOfWeek: 'monday' } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        decisionTime: [
+          { $match: { status: { $in: ['approved', 'rejected'] }, decidedAt: { $ne: null } } },
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 },
+              averageMs: { $avg: { $subtract: ['$decidedAt', '$enrollmentDate'] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  const byStatus = Student.STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  result.byStatus.forEach(({ _id, count }) => { byStatus[_id] = count; });
+
+  // Funnel: submitted -> decided -> approved
+  const decided = byStatus.approved + byStatus.rejected;
+  const funnel = {
+    submitted: total,
+    decided,
+    approved: byStatus.approved,
+    approvalRate: decided > 0 ? Math.round((byStatus.approved / decided) * 1000) / 10 : null
+  };
+
+  const decisionTimes = { approved: null, rejected: null };
+  let decisionCount = 0;
+  let decisionMsTotal = 0;
+  result.decisionTime.forEach(({ _id, count, averageMs }) => {
+    decisionTimes[_id] = { count, averageDays: toDays(averageMs) };
+    decisionCount += count;
+    decisionMsTotal += averageMs * count;
+  });
+
+  return {
+    range: { from, to, interval },
+    total,
+    funnel,
+    byCourse: toCounts(result.byCourse),
+    byStatus,
+    byCity: toCounts(result.byCity),
+    byAgeBand: result.byAgeBand.map(({ _id, count }) => ({
+      band: _id === 'unknown' ? _id : ageBandLabel(_id),
+      count
+    })),
+    timeSeries: fillTimeSeries(result.timeSeries, { from, to, interval }),
+    timeToDecision: {
+      averageDays: decisionCount > 0 ? toDays(decisionMsTotal / decisionCount) : null,
+      ...decisionTimes
+    }
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  parseStatsOptions,
+  getEnrollmentStats
+};
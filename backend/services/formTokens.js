@@ -0,0 +1,22 @@
+const UsedFormToken = require('../models/UsedFormToken');
+
+// Mark a verified form token as used. Resolves false when an earlier submission
+// already used it.
+const claimFormToken = async ({ jti, exp }) => {
+  try {
+    await UsedFormToken.create({ tokenId: jti, expiresAt: new Date(exp * 1000) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give a token back when its submission wasn't accepted, so the applicant can fix
+// the problem and send the form again
+const releaseFormToken = (jti) => UsedFormToken.deleteOne({ tokenId: jti });
+
+module.exports = {
+  claimFormToken,
+  releaseFormToken
+};
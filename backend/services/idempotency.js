@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const httpError = require('../utils/httpError');
+const { config } = require('../config');
+
+// How long a result can be replayed for
+const KEY_TTL_MS = config.idempotency.keyTtlHours * 60 * 60 * 1000;
+// A request that hasn't finished by then is assumed to have died; a retry takes over its key
+const LOCK_MS = 60 * 1000;
+// A retry that arrives while the first request is still running waits this long for its result
+const IN_FLIGHT_WAIT_MS = 5000;
+const POLL_MS = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// JSON with sorted keys, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+
+// Claim a key for this request. Resolves { claim } when the request should run,
+// or { replay } with the stored result of an earlier request with the same key and body.
+const claimKey = async (scope, key, requestHash) => {
+  const deadline = Date.now() + IN_FLIGHT_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    const claimId = crypto.randomBytes(12).toString('hex');
+
+    try {
+      // Create the key, or take over one that expired or whose request died
+      const claim = await IdempotencyKey.findOneAndUpdate(
+        {
+          scope,
+          key,
+          $or: [
+            { expiresAt: { $lte: now } },
+            { status: 'processing', lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            requestHash,
+            claimId,
+            status: 'processing',
+            lockedUntil: new Date(now.getTime() + LOCK_MS),
+            expiresAt: new Date(now.getTime() + KEY_TTL_MS)
+          },
+          $unset: { responseStatus: 1, responseBody: 1, completedAt: 1 }
+        },
+        { upsert: true, new: true }
+      );
+      return { claim };
+    } catch (error) {
+      // The key exists and is live
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        throw httpError(422, 'This Idempotency-Key was already used for a different request. Use a new key for a new submission.', 'IDEMPOTENCY_KEY_REUSED');
+      }
+      if (existing.status === 'completed') {
+        return { replay: existing };
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw httpError(409, 'A request with this Idempotency-Key is still being processed. Please retry shortly.', 'IDEMPOTENCY_KEY_IN_USE');
+    }
+    // Still running (or just released by a failed request): wait and look again
+    await sleep(POLL_MS);
+  }
+};
+
+// Keep a successful result for replay
+const completeKey = (claim, responseStatus, responseBody) => {
+  return IdempotencyKey.updateOne(
+    { _id: claim._id, claimId: claim.claimId },
+    {
+      $set: {
+        status: 'completed',
+        responseStatus,
+        // Stored as plain JSON, exactly as it was sent
+        responseBody: JSON.parse(JSON.stringify(responseBody)),
+        completedAt: new Date()
+      },
+      $unset: { lockedUntil: 1 }
+    }
+  );
+};
+
+// Forget a failed request so the client can retry it with the same key
+const releaseKey = (claim) => IdempotencyKey.deleteOne({ _id: claim._id, claimId: claim.claimId });
+
+module.exports = {
+  hashRequest,
+  claimKey,
+  completeKey,
+  releaseKey
+};
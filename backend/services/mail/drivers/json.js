@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { config } = require('../../../config');
+
+// Local development driver: writes each message as a JSON file instead of
+// sending it. Set EMAIL_OUTPUT_DIR=- to print messages to stdout instead.
+const createJsonDriver = () => {
+  const outputDir = config.email.outputDir || path.join(__dirname, '..', '..', '..', 'tmp', 'mail');
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: 'json',
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+
+      if (outputDir === '-') {
+        process.stdout.write(`${info.message}\n`);
+        return info;
+      }
+
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+
+      return { ...info, path: path.join(outputDir, fileName) };
+    },
+    verify: async () => true
+  };
+};
+
+module.exports = createJsonDriver;
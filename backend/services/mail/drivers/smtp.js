@@ -0,0 +1,80 @@
+const nodemailer = require('nodemailer');
+const { config } = require('../../../config');
+
+// Connection presets for the supported SMTP providers
+const presets = {
+  gmail: () => ({
+    service: 'gmail',
+    auth: {
+      user: config.email.user,
+      pass: config.email.pass // Use App Password for Gmail
+    }
+  }),
+  outlook: () => ({
+    service: 'hotmail',
+    auth: {
+      user: config.email.user,
+      pass: config.email.pass
+    }
+  }),
+  sendgrid: () => ({
+    host: 'smtp.sendgrid.net',
+    port: 587,
+    secure: false,
+    auth: {
+      user: 'apikey',
+      pass: config.email.sendgridApiKey
+    }
+  }),
+  mailgun: () => ({
+    host: 'smtp.mailgun.org',
+    port: 587,
+    secure: false,
+    auth: {
+      user: config.email.mailgun.login,
+      pass: config.email.mailgun.password
+    }
+  }),
+  // Any other SMTP server
+  smtp: () => ({
+    host: config.email.smtp.host,
+    port: config.email.smtp.port,
+    secure: config.email.smtp.secure,
+    auth: config.email.smtp.user ? {
+      user: config.email.smtp.user,
+      pass: config.email.smtp.pass
+    } : undefined
+  })
+};
+
+// Credentials each preset needs before it can send anything
+// (required at boot in production, see config/settings.js)
+const requiredCredentials = {
+  gmail: [config.email.user, config.email.pass],
+  outlook: [config.email.user, config.email.pass],
+  sendgrid: [config.email.sendgridApiKey],
+  mailgun: [config.email.mailgun.login, config.email.mailgun.password],
+  smtp: [config.email.smtp.host]
+};
+
+const createSmtpDriver = (service) => {
+  const preset = presets[service];
+  if (!preset) {
+    throw new Error(`Unsupported email service: ${service}`);
+  }
+
+  if (requiredCredentials[service].some((value) => !value)) {
+    console.warn(`⚠️ Email service "${service}" is missing credentials; emails will fail until it is configured`);
+  }
+
+  const transport = nodemailer.createTransport(preset());
+
+  return {
+    name: service,
+    sendMail: (message) => transport.sendMail(message),
+    verify: () => transport.verify()
+  };
+};
+
+module.exports = createSmtpDriver;
+module.exports.SMTP_SERVICES = Object.keys(presets);
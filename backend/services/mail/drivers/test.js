@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Test driver: keeps sent messages in memory so they can be inspected
+const createTestDriver = () => {
+  const sent = [];
+
+  return {
+    name: 'test',
+    sent,
+    sendMail: async (message) => {
+      const info = { ...message, messageId: `<${crypto.randomBytes(8).toString('hex')}@test>` };
+      sent.push(info);
+      return { messageId: info.messageId, accepted: [].concat(message.to) };
+    },
+    verify: async () => true,
+    last: () => sent[sent.length - 1],
+    clear: () => { sent.length = 0; }
+  };
+};
+
+module.exports = createTestDriver;
@@ -0,0 +1,38 @@
+const { config } = require('../../config');
+const createSmtpDriver = require('./drivers/smtp');
+const createJsonDriver = require('./drivers/json');
+const createTestDriver = require('./drivers/test');
+
+// EMAIL_SERVICE picks the driver: any SMTP preset (gmail, outlook, sendgrid,
+// mailgun, smtp), json for local development or test to capture in memory
+const createMailer = (service = config.email.service) => {
+  const name = service.toLowerCase();
+
+  if (name === 'json') return createJsonDriver();
+  if (name === 'test') return createTestDriver();
+  return createSmtpDriver(name);
+};
+
+let mailer = null;
+
+// Shared mailer for the app, created on first use
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer();
+    console.log(`📮 Mail transport: ${mailer.name}`);
+  }
+  return mailer;
+};
+
+// Sender address for a team, e.g. formatFrom('Admissions') -> "EduPlatform Admissions" <...>
+const formatFrom = (team) => {
+  const address = config.email.from || config.email.user || config.email.adminEmail;
+  const brand = config.brand.name;
+  return `"${brand} ${team}" <${address}>`;
+};
+
+module.exports = {
+  createMailer,
+  getMailer,
+  formatFrom
+};
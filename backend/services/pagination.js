@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Relevance-ranked results can't be keyset paginated, so they page by offset up to this depth
+const MAX_RELEVANCE_OFFSET = 1000;
+
+const parsePageSize = (value) => {
+  if (value === undefined) return DEFAULT_PAGE_SIZE;
+  const limit = parseInt(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw httpError(400, 'limit must be a positive number', 'INVALID_LIMIT');
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Cursors are opaque to clients: base64url JSON of where the last page ended
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor, sortKey) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+
+  if (!position || typeof position !== 'object' || position.s !== sortKey) {
+    throw httpError(400, 'Invalid or expired cursor. Start again from the first page.', 'INVALID_CURSOR');
+  }
+  return position;
+};
+
+// Revive a sort value from a cursor, refusing anything that isn't a plain value
+const cursorValue = (value, isDate) => {
+  if (value === null) return null;
+  if (isDate) {
+    const date = new Date(value);
+    if (typeof value === 'string' && !Number.isNaN(date.getTime())) return date;
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    return value;
+  }
+  throw httpError(400, 'Invalid or expired cursor. Start again from the first page.', 'INVALID_CURSOR');
+};
+
+// Documents that come after (value, id) in the given sort order.
+// MongoDB sorts missing/null values first ascending and last descending.
+const keysetCondition = (field, direction, value, id) => {
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const conditions = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, ...idAfter }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+// One page of results. With a sort field the cursor remembers the last document's
+// (value, _id); without one (text search) results are in relevance order.
+// Totals cost a full count, so they're only computed when asked for.
+const paginate = async (Model, { filter, sortField, sortDirection = -1, dateFields = [], cursor, limit, includeTotal = false, select }) => {
+  const sortKey = sortField ? `${sortDirection === 1 ? '' : '-'}${sortField}` : 'relevance';
+  const position = cursor ? decodeCursor(cursor, sortKey) : null;
+
+  let query;
+  let offset = 0;
+  if (sortField) {
+    const conditions = [filter];
+    if (position) {
+      if (!mongoose.Types.ObjectId.isValid(position.id)) {
+        throw httpError(400, 'Invalid or expired cursor. Start again from the first page.', 'INVALID_CURSOR');
+      }
+      const value = cursorValue(position.v, dateFields.includes(sortField));
+      conditions.push(keysetCondition(sortField, sortDirection, value, new mongoose.Types.ObjectId(position.id)));
+    }
+    query = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+      .sort({ [sortField]: sortDirection, _id: sortDirection });
+  } else {
+    offset = position ? parseInt(position.o) || 0 : 0;
+    if (offset < 0 || offset > MAX_RELEVANCE_OFFSET) {
+      throw httpError(400, 'Invalid or expired cursor. Start again from the first page.', 'INVALID_CURSOR');
+    }
+    query = Model.find(filter)
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset);
+  }
+
+  if (select) query = query.select(select);
+
+  // Fetch one extra to know whether there is another page
+  const [documents, total] = await Promise.all([
+    query.limit(limit + 1),
+    includeTotal ? Model.countDocuments(filter) : Promise.resolve(undefined)
+  ]);
+
+  const hasMore = documents.length > limit;
+  const page = hasMore ? documents.slice(0, limit) : documents;
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = page[page.length - 1];
+    if (sortField) {
+      const value = last.get ? last.get(sortField) : last[sortField];
+      nextCursor = encodeCursor({ s: sortKey, v: value === undefined ? null : value, id: last._id.toString() });
+    } else if (offset + limit <= MAX_RELEVANCE_OFFSET) {
+      nextCursor = encodeCursor({ s: sortKey, o: offset + limit });
+    }
+  }
+
+  return {
+    documents: page,
+    pagination: {
+      limit,
+      sort: sortKey,
+      hasMore: nextCursor !== null,
+      nextCursor,
+      ...(includeTotal ? { total } : {})
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,154 @@
+const net = require('net');
+const { config } = require('../../config');
+
+// Every store implements the express-rate-limit Store interface:
+//   init(options)     receives the limiter options (windowMs)
+//   increment(key)    count a hit; resolves to { totalHits, resetTime }
+//   decrement(key)    take back a hit
+//   resetKey(key)     forget a client
+// RATE_LIMIT_STORE picks the store (default: mongo, shared by every instance)
+const stores = {
+  mongo: (prefix) => require('./stores/mongo')(prefix),
+  memory: (prefix) => require('./stores/memory')(prefix)
+};
+
+// One policy per limited route. Anonymous clients are counted by IP address and
+// get max requests per window; signed-in staff are counted by user and get
+// staffMax (when the policy sets one). allowlist: false keeps the policy in force
+// for allowlisted networks too.
+const DEFAULT_RATE_LIMIT_POLICIES = {
+  // Every request to the app
+  api: {
+    windowMinutes: 15,
+    max: 100,
+    staffMax: 1000,
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  // The public enrollment form
+  enrollment: {
+    windowMinutes: 15,
+    max: 20,
+    message: 'Too many enrollment attempts. Please try again in 15 minutes.'
+  },
+  // Staff login (protects against password guessing)
+  login: {
+    windowMinutes: 15,
+    max: 10,
+    allowlist: false,
+    message: 'Too many login attempts. Please try again in 15 minutes.'
+  },
+  // Applicant verification codes (codes are emailed, so keep this tight)
+  applicantVerify: {
+    windowMinutes: 15,
+    max: 10,
+    message: 'Too many verification attempts. Please try again in 15 minutes.'
+  }
+};
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Policies with RATE_LIMIT_POLICIES (a JSON object) applied over the defaults,
+// checked so a typo fails at boot, e.g. {"enrollment":{"max":50},"api":{"staffMax":5000}}
+const loadRateLimitPolicies = () => {
+  const overrides = config.rateLimit.policies;
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('RATE_LIMIT_POLICIES must be a JSON object keyed by policy name');
+  }
+
+  const policies = {};
+  Object.keys(overrides).forEach((name) => {
+    if (!DEFAULT_RATE_LIMIT_POLICIES[name]) {
+      throw new Error(`RATE_LIMIT_POLICIES: unknown policy "${name}" (one of ${Object.keys(DEFAULT_RATE_LIMIT_POLICIES).join(', ')})`);
+    }
+  });
+
+  Object.entries(DEFAULT_RATE_LIMIT_POLICIES).forEach(([name, defaults]) => {
+    const policy = { ...defaults, ...overrides[name] };
+    const label = `Rate limit policy "${name}"`;
+
+    if (!(typeof policy.windowMinutes === 'number' && policy.windowMinutes > 0)) {
+      throw new Error(`${label}: windowMinutes must be a positive number`);
+    }
+    if (!isCount(policy.max)) {
+      throw new Error(`${label}: max must be a whole number`);
+    }
+    if (policy.staffMax !== undefined && policy.staffMax !== null && !isCount(policy.staffMax)) {
+      throw new Error(`${label}: staffMax must be a whole number`);
+    }
+    if (policy.allowlist !== undefined && typeof policy.allowlist !== 'boolean') {
+      throw new Error(`${label}: allowlist must be true or false`);
+    }
+    if (typeof policy.message !== 'string' || !policy.message) {
+      throw new Error(`${label}: message must be a non-empty string`);
+    }
+    policies[name] = policy;
+  });
+
+  return policies;
+};
+
+// Trusted networks from RATE_LIMIT_ALLOWLIST: comma-separated addresses or CIDR
+// ranges, e.g. "10.0.0.0/8, 192.168.4.20, 2001:db8::/32"
+const loadAllowlist = () => {
+  const blockList = new net.BlockList();
+  const entries = config.rateLimit.allowlist;
+
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const bits = Number(prefix);
+    if (!type || (prefix !== undefined && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === 'ipv4' ? 32 : 128)))) {
+      throw new Error(`RATE_LIMIT_ALLOWLIST: "${entry}" is not an IP address or CIDR range`);
+    }
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, bits, type);
+    }
+  });
+
+  return { blockList, size: entries.length };
+};
+
+let policies = null;
+let allowlist = null;
+
+const getPolicy = (name) => {
+  if (!policies) policies = loadRateLimitPolicies();
+  if (!policies[name]) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+  return policies[name];
+};
+
+// True when the address is on the allowlist (IPv4-mapped IPv6 addresses count as IPv4)
+const isAllowlisted = (ip) => {
+  if (!allowlist) allowlist = loadAllowlist();
+  if (allowlist.size === 0 || !ip) return false;
+
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return allowlist.blockList.check(address, type);
+};
+
+// Load the policies and allowlist now so a bad setting stops the server at boot
+const checkRateLimitConfig = () => {
+  policies = loadRateLimitPolicies();
+  allowlist = loadAllowlist();
+  console.log(`🚦 Rate limits: ${config.rateLimit.store} store` +
+    (allowlist.size > 0 ? `, ${allowlist.size} allowlisted network(s)` : ''));
+};
+
+// Counter store for one policy; keys are prefixed with the policy name
+const createStore = (policyName) => {
+  return stores[config.rateLimit.store](`${policyName}:`);
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMIT_POLICIES,
+  loadRateLimitPolicies,
+  getPolicy,
+  isAllowlisted,
+  checkRateLimitConfig,
+  createStore
+};
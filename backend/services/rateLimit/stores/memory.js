@@ -0,0 +1,12 @@
+const { MemoryStore } = require('express-rate-limit');
+
+// Counters in this process only: lost on restart and not shared between
+// instances. For local development and single-instance deployments.
+const createMemoryStore = (prefix) => {
+  const store = new MemoryStore();
+  store.name = 'memory';
+  store.prefix = prefix;
+  return store;
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../../../models/RateLimitCounter');
+
+// A counter update that takes longer than this is given up on (the request goes through)
+const MAX_TIME_MS = 2000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Counters in MongoDB, shared by every instance and kept across deploys.
+// Fixed windows: the first hit after a window ends starts a new one.
+const createMongoStore = (prefix) => {
+  let windowMs;
+  let warnedUnavailable = false;
+
+  const increment = async (key, retried = false) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+    try {
+      // One atomic update: count the hit in the current window or start a new one
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: prefix + key },
+        [{
+          $set: {
+            hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, maxTimeMS: MAX_TIME_MS }
+      ).lean();
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    } catch (error) {
+      // Two first hits raced to create the counter; the loser counts against the winner's
+      if (error.code === 11000 && !retried) return increment(key, true);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    prefix,
+    localKeys: false,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+
+    // True while the database is disconnected. The limiter then lets requests
+    // through unlimited instead of holding every one of them until it is back.
+    unavailable: () => {
+      if (mongoose.connection.readyState === 1) {
+        warnedUnavailable = false;
+        return false;
+      }
+      if (!warnedUnavailable) {
+        console.warn(`⚠️ Rate limit store unavailable (database not connected); "${prefix.slice(0, -1)}" limits are off until it reconnects`);
+        warnedUnavailable = true;
+      }
+      return true;
+    },
+
+    get: async (key) => {
+      const counter = await RateLimitCounter.findOne({ key: prefix + key, resetAt: { $gt: new Date() } }).lean();
+      return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    },
+
+    increment: (key) => increment(key),
+
+    decrement: async (key) => {
+      await RateLimitCounter.updateOne(
+        { key: prefix + key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+        { $inc: { hits: -1 } }
+      );
+    },
+
+    resetKey: async (key) => {
+      await RateLimitCounter.deleteOne({ key: prefix + key });
+    },
+
+    resetAll: async () => {
+      await RateLimitCounter.deleteMany({ key: { $regex: `^${escapeRegex(prefix)}` } });
+    }
+  };
+};
+
+module.exports = createMongoStore;
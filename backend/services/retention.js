@@ -0,0 +1,220 @@
+const Student = require('../models/Student');
+const { DAY_MS } = require('../utils/dates');
+const { eraseStudent } = require('./dataSubject');
+const { recordAudit } = require('./auditLog');
+const { config } = require('../config');
+
+// What a rule can do to the applications it matches:
+//   anonymize               erase the personal data, keep an anonymized record for statistics
+//   strip-request-metadata  drop the IP address and user agent captured with the application
+const RETENTION_ACTIONS = ['anonymize', 'strip-request-metadata'];
+
+// Dates a rule can measure age from
+const RETENTION_DATE_FIELDS = ['enrollmentDate', 'decidedAt', 'updatedAt'];
+
+// Used when RETENTION_RULES isn't set
+const DEFAULT_RETENTION_RULES = [
+  { name: 'rejected', action: 'anonymize', statuses: ['rejected'], dateField: 'decidedAt', olderThanDays: 365 },
+  { name: 'abandoned', action: 'anonymize', statuses: ['pending', 'waitlisted', 'flagged'], dateField: 'updatedAt', olderThanDays: 540 },
+  { name: 'request-metadata', action: 'strip-request-metadata', dateField: 'enrollmentDate', olderThanDays: 90 }
+];
+
+const RUN_INTERVAL_MS = config.retention.intervalHours * 60 * 60 * 1000;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+// Applications handled per rule per run; the rest are picked up by the next run
+const MAX_PER_RULE = 500;
+const SAMPLE_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+// Rules from RETENTION_RULES (a JSON array), checked so a typo fails at boot
+// e.g. [{"name":"rejected","action":"anonymize","statuses":["rejected"],"dateField":"decidedAt","olderThanDays":365}]
+const loadRetentionRules = () => {
+  const rules = config.retention.rules || DEFAULT_RETENTION_RULES;
+
+  if (!Array.isArray(rules)) {
+    throw new Error('RETENTION_RULES must be a JSON array of rules');
+  }
+
+  return rules.map((rule, i) => {
+    const label = `Retention rule ${rule && rule.name ? `"${rule.name}"` : i + 1}`;
+    const { name, action, statuses = Student.STATUSES, dateField = 'enrollmentDate', olderThanDays } = rule || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`${label} needs a name`);
+    }
+    if (!RETENTION_ACTIONS.includes(action)) {
+      throw new Error(`${label}: action must be one of ${RETENTION_ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(statuses) || statuses.length === 0 || !statuses.every((status) => Student.STATUSES.includes(status))) {
+      throw new Error(`${label}: statuses must be a list of ${Student.STATUSES.join(', ')}`);
+    }
+    if (!RETENTION_DATE_FIELDS.includes(dateField)) {
+      throw new Error(`${label}: dateField must be one of ${RETENTION_DATE_FIELDS.join(', ')}`);
+    }
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 1) {
+      throw new Error(`${label}: olderThanDays must be a whole number of days`);
+    }
+
+    return { name: name.trim(), action, statuses, dateField, olderThanDays };
+  });
+};
+
+// Applications a rule applies to right now
+const ruleFilter = (rule, now = new Date()) => {
+  const filter = {
+    status: { $in: rule.statuses },
+    [rule.dateField]: { $lte: new Date(now.getTime() - rule.olderThanDays * DAY_MS) },
+    erasedAt: null
+  };
+
+  // Only applications that still have something to remove
+  if (rule.action === 'strip-request-metadata') {
+    filter.$or = [
+      { ipAddress: { $exists: true } },
+      { userAgent: { $exists: true } },
+      { 'editHistory.ipAddress': { $exists: true } }
+    ];
+  }
+  return filter;
+};
+
+// What each rule would do if it ran now. Nothing is changed.
+const getRetentionReport = async () => {
+  const now = new Date();
+
+  const rules = await Promise.all(loadRetentionRules().map(async (rule) => {
+    const filter = ruleFilter(rule, now);
+    const [matched, sample] = await Promise.all([
+      Student.countDocuments(filter),
+      Student.find(filter)
+        .select('status course enrollmentDate decidedAt updatedAt')
+        .sort({ [rule.dateField]: 1 })
+        .limit(SAMPLE_SIZE)
+    ]);
+
+    return {
+      ...rule,
+      cutoff: filter[rule.dateField].$lte,
+      matched,
+      // Applications past MAX_PER_RULE wait for later runs
+      nextRun: Math.min(matched, MAX_PER_RULE),
+      sample
+    };
+  }));
+
+  return { generatedAt: now, rules };
+};
+
+const applyRule = async (rule, now) => {
+  const students = await Student.find(ruleFilter(rule, now))
+    .select('_id')
+    .sort({ [rule.dateField]: 1 })
+    .limit(MAX_PER_RULE);
+  const ids = students.map((student) => student._id);
+  if (ids.length === 0) return { rule: rule.name, action: rule.action, affected: 0, failed: 0 };
+
+  const affected = [];
+  let failed = 0;
+
+  if (rule.action === 'anonymize') {
+    for (const id of ids) {
+      try {
+        await eraseStudent(id);
+        affected.push(id);
+      } catch (error) {
+        // Erased or changed by someone else in the meantime
+        if (error.code === 'APPLICATION_ERASED') continue;
+        failed++;
+        console.error(`❌ Retention rule "${rule.name}" could not anonymize application ${id}:`, error);
+      }
+    }
+  } else {
+    // Without touching updatedAt, which the abandoned rule goes by
+    await Student.updateMany({ _id: { $in: ids } }, { $unset: { ipAddress: 1, userAgent: 1 } }, { timestamps: false });
+    // Separate update: $[] fails on records without an edit history
+    await Student.updateMany(
+      { _id: { $in: ids }, 'editHistory.ipAddress': { $exists: true } },
+      { $unset: { 'editHistory.$[].ipAddress': 1 } },
+      { timestamps: false }
+    );
+    affected.push(...ids);
+  }
+
+  await recordAudit({
+    action: 'student.retention',
+    targetIds: affected,
+    details: { rule: rule.name, action: rule.action, olderThanDays: rule.olderThanDays, affected: affected.length, failed }
+  });
+
+  return { rule: rule.name, action: rule.action, affected: affected.length, failed };
+};
+
+// Apply every rule once. Rules run one after another; a failing rule doesn't stop the rest.
+const runRetention = async () => {
+  if (running) return null;
+  running = true;
+
+  const now = new Date();
+  const results = [];
+  try {
+    for (const rule of loadRetentionRules()) {
+      try {
+        results.push(await applyRule(rule, now));
+      } catch (error) {
+        console.error(`❌ Retention rule "${rule.name}" failed:`, error);
+        results.push({ rule: rule.name, action: rule.action, error: error.message });
+      }
+    }
+
+    const total = results.reduce((sum, result) => sum + (result.affected || 0), 0);
+    if (total > 0) {
+      console.log(`🗓️ Retention: ${results.map((r) => `${r.rule} ${r.affected || 0}`).join(', ')}`);
+    }
+    return { ranAt: now, results };
+  } finally {
+    running = false;
+  }
+};
+
+// Run the rules on a schedule (opt-in with RETENTION_ENABLED=true)
+const startRetentionJob = () => {
+  if (timer) return;
+
+  // Fail at boot on bad rules, even if the job is disabled
+  const rules = loadRetentionRules();
+  if (!config.retention.enabled) {
+    console.log('🗓️ Retention job disabled (set RETENTION_ENABLED=true to apply retention rules)');
+    return;
+  }
+
+  const tick = () => runRetention().catch((error) => console.error('❌ Retention run error:', error.message));
+  timer = setTimeout(() => {
+    tick();
+    timer = setInterval(tick, RUN_INTERVAL_MS);
+    timer.unref();
+  }, FIRST_RUN_DELAY_MS);
+  timer.unref();
+
+  console.log(`🗓️ Retention job started: ${rules.length} rule(s), every ${RUN_INTERVAL_MS / (60 * 60 * 1000)}h`);
+};
+
+const stopRetentionJob = () => {
+  if (timer) {
+    clearTimeout(timer);
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  RETENTION_ACTIONS,
+  RETENTION_DATE_FIELDS,
+  DEFAULT_RETENTION_RULES,
+  loadRetentionRules,
+  getRetentionReport,
+  runRetention,
+  startRetentionJob,
+  stopRetentionJob
+};
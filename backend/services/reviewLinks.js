@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const ActionToken = require('../models/ActionToken');
+const httpError = require('../utils/httpError');
+const { signActionToken, verifyActionToken } = require('../utils/tokens');
+const { config } = require('../config');
+
+const LINK_TTL_HOURS = config.reviewLinks.ttlHours;
+
+const getBaseUrl = () => {
+  return (config.server.publicUrl || `http://localhost:${config.server.port}`).replace(/\/+$/, '');
+};
+
+// Create signed approve/reject/view links for the admin notification email
+const createReviewLinks = async (student, recipient) => {
+  const expiresAt = new Date(Date.now() + LINK_TTL_HOURS * 60 * 60 * 1000);
+  const links = {};
+
+  for (const action of ActionToken.ACTIONS) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    await ActionToken.create({ tokenId, student: student._id, action, recipient, expiresAt });
+    const token = signActionToken({ studentId: student._id, action, tokenId, expiresAt });
+    links[action] = `${getBaseUrl()}/api/v1/review/${encodeURIComponent(token)}`;
+  }
+
+  return links;
+};
+
+// Verify a link token and load its server-side record without using it up
+const resolveActionToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyActionToken(token);
+  } catch (error) {
+    throw httpError(401, error.name === 'TokenExpiredError' ? 'This link has expired.' : 'This link is invalid.', 'INVALID_LINK');
+  }
+
+  const record = await ActionToken.findOne({ tokenId: payload.jti });
+  if (!record || record.student.toString() !== payload.sub || record.action !== payload.act) {
+    throw httpError(401, 'This link is invalid or has expired.', 'INVALID_LINK');
+  }
+
+  if (record.usedAt) {
+    throw httpError(410, 'This link has already been used.', 'LINK_USED');
+  }
+
+  return record;
+};
+
+// Mark a decision link as used. Atomic, so a double-submit only applies once.
+const consumeActionToken = async (record, ip) => {
+  const consumed = await ActionToken.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { $set: { usedAt: new Date(), usedFromIp: ip } },
+    { new: true }
+  );
+
+  if (!consumed) {
+    throw httpError(410, 'This link has already been used.', 'LINK_USED');
+  }
+
+  return consumed;
+};
+
+// Make a consumed link usable again, when the decision it was used for couldn't be
+// applied (e.g. the course is full). Only undoes this use, not a later revocation.
+const releaseActionToken = (consumed) => {
+  return ActionToken.updateOne(
+    { _id: consumed._id, usedAt: consumed.usedAt },
+    { $unset: { usedAt: '', usedFromIp: '' } }
+  );
+};
+
+// Once a decision has been made, the other decision links for that application are void
+const revokeDecisionLinks = (studentId) => {
+  return ActionToken.updateMany(
+    { student: studentId, action: { $ne: 'view' }, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  LINK_TTL_HOURS,
+  createReviewLinks,
+  resolveActionToken,
+  consumeActionToken,
+  releaseActionToken,
+  revokeDecisionLinks
+};
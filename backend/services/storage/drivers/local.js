@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../../config');
+
+// Stores files on the local disk under UPLOAD_DIR (default: backend/uploads)
+const createLocalDriver = () => {
+  const root = path.resolve(config.storage.uploadDir || path.join(__dirname, '..', '..', '..', 'uploads'));
+
+  // Keep every key inside the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer, { overwrite = false } = {}) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: overwrite ? 'w' : 'wx' });
+    },
+
+    getStream: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalDriver;
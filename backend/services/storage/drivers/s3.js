@@ -0,0 +1,48 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { config } = require('../../../config');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, LocalStack, ...)
+const createS3Driver = () => {
+  // Required with STORAGE_DRIVER=s3 (checked at boot, see config/settings.js)
+  const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = config.storage.s3;
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    // MinIO and most local stand-ins need path-style URLs
+    forcePathStyle,
+    credentials: accessKeyId ? {
+      accessKeyId,
+      secretAccessKey
+    } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    getStream: async (key) => {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,29 @@
+const { config } = require('../../config');
+
+// Every storage driver implements:
+//   put(key, buffer, { contentType, overwrite })  store a file under key
+//                                      (replacing an existing one only with overwrite)
+//   getStream(key)                     readable stream of the file
+//   delete(key)                        remove the file (no error if missing)
+// Drivers are loaded on demand so the AWS SDK is only required when used
+const drivers = {
+  local: () => require('./drivers/local')(),
+  s3: () => require('./drivers/s3')()
+};
+
+let storage = null;
+
+// Shared storage for uploaded documents, chosen by STORAGE_DRIVER (default: local)
+const getStorage = () => {
+  if (!storage) {
+    const name = config.storage.driver;
+    if (!drivers[name]) {
+      throw new Error(`Unsupported storage driver: ${name}`);
+    }
+    storage = drivers[name]();
+    console.log(`🗄️ Document storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,178 @@
+const Student = require('../models/Student');
+const httpError = require('../utils/httpError');
+const { parseDateParam } = require('../utils/dates');
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Fields the student list can be sorted by (?sort=lastName or ?sort=-createdAt)
+const SORT_FIELDS = ['createdAt', 'enrollmentDate', 'decidedAt', 'firstName', 'lastName', 'email', 'course', 'city', 'status'];
+const DATE_SORT_FIELDS = ['createdAt', 'enrollmentDate', 'decidedAt'];
+
+// Regex-safe literal, for case-insensitive exact matches on user input
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactMatch = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+const statusCondition = (value) => {
+  const status = value.toLowerCase();
+  if (!Student.STATUSES.includes(status)) {
+    throw httpError(400, `Status must be one of: ${Student.STATUSES.join(', ')}`, 'INVALID_SEARCH');
+  }
+  return { status };
+};
+
+// "2025-01-01..2025-01-31", "2025-01-01..", "..2025-01-31" or a single day "2025-01-15"
+const dateRangeCondition = (field) => (value) => {
+  const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+  const range = {};
+  if (from) range.$gte = parseDateParam(from, field);
+  if (to) range.$lte = parseDateParam(to, field, { endOfDay: true });
+  if (!range.$gte && !range.$lte) {
+    throw httpError(400, `${field} needs a date or a range like 2025-01-01..2025-01-31`, 'INVALID_SEARCH');
+  }
+  return { [field]: range };
+};
+
+// Fields that can be used as field:value in the search box
+const SEARCH_FIELDS = {
+  status: statusCondition,
+  course: (value) => ({ course: exactMatch(value) }),
+  city: (value) => ({ city: exactMatch(value) }),
+  email: (value) => ({ email: value.toLowerCase() }),
+  // Encrypted field: matched exactly through its blind index
+  idnumber: (value) => ({ 'blindIndex.idnumber': Student.blindIndexFor('idnumber', value) }),
+  language: (value) => ({ preferredLanguage: value.toLowerCase() }),
+  source: (value) => ({ source: value.toLowerCase() }),
+  enrolled: dateRangeCondition('enrollmentDate'),
+  enrollmentDate: dateRangeCondition('enrollmentDate'),
+  created: dateRangeCondition('createdAt'),
+  createdAt: dateRangeCondition('createdAt')
+};
+
+// Split a search string into field:value filters and free-text terms.
+// Values with spaces are quoted: course:"Computer Science"
+const parseSearch = (search) => {
+  const text = String(search).trim();
+  if (text.length > MAX_SEARCH_LENGTH) {
+    throw httpError(400, `Search cannot be longer than ${MAX_SEARCH_LENGTH} characters`, 'INVALID_SEARCH');
+  }
+
+  const conditions = [];
+  const terms = [];
+  const tokenPattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const [, field, quotedValue, value, phrase, term] = match;
+
+    if (field) {
+      const toCondition = SEARCH_FIELDS[field];
+      if (!toCondition) {
+        throw httpError(400, `Unknown search field "${field}". Available fields: ${Object.keys(SEARCH_FIELDS).join(', ')}`, 'INVALID_SEARCH');
+      }
+      const fieldValue = (quotedValue !== undefined ? quotedValue : value).trim();
+      if (fieldValue) conditions.push(toCondition(fieldValue));
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) terms.push(`"${phrase.trim()}"`);
+    } else {
+      terms.push(term);
+    }
+  }
+
+  return { conditions, terms };
+};
+
+// "-createdAt" -> { sortField: 'createdAt', sortDirection: -1 }
+const parseSort = (value) => {
+  const text = String(value).trim();
+  const sortField = text.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw httpError(400, `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`, 'INVALID_SORT');
+  }
+  return { sortField, sortDirection: text.startsWith('-') ? -1 : 1 };
+};
+
+// MongoDB filter and sort for the student list, export and stats from their shared
+// query parameters: course, status, search, enrolledFrom/To, createdFrom/To, sort.
+// Free-text search uses the text index and sorts by relevance unless a sort is given.
+const buildStudentQuery = (params) => {
+  const conditions = [];
+
+  // Query values are coerced to strings so objects like ?status[$ne]= can't inject operators
+  if (params.course) conditions.push({ course: String(params.course) });
+  if (params.status) conditions.push(statusCondition(String(params.status)));
+
+  const enrolled = {};
+  if (params.enrolledFrom) enrolled.$gte = parseDateParam(params.enrolledFrom, 'enrolledFrom');
+  if (params.enrolledTo) enrolled.$lte = parseDateParam(params.enrolledTo, 'enrolledTo', { endOfDay: true });
+  if (Object.keys(enrolled).length > 0) conditions.push({ enrollmentDate: enrolled });
+
+  const created = {};
+  if (params.createdFrom) created.$gte = parseDateParam(params.createdFrom, 'createdFrom');
+  if (params.createdTo) created.$lte = parseDateParam(params.createdTo, 'createdTo', { endOfDay: true });
+  if (Object.keys(created).length > 0) conditions.push({ createdAt: created });
+
+  let terms = [];
+  if (params.search) {
+    const parsed = parseSearch(params.search);
+    conditions.push(...parsed.conditions);
+    terms = parsed.terms;
+  }
+
+  const filter = {};
+  if (terms.length > 0) filter.$text = { $search: terms.join(' ') };
+  if (conditions.length > 0) filter.$and = conditions;
+
+  // Newest first by default; relevance (sortField null) for free-text searches
+  const { sortField, sortDirection } = params.sort
+    ? parseSort(params.sort)
+    : { sortField: terms.length > 0 ? null : 'createdAt', sortDirection: -1 };
+
+  return {
+    filter,
+    sortField,
+    sortDirection,
+    sort: sortField
+      ? { [sortField]: sortDirection, _id: sortDirection }
+      : { score: { $meta: 'textScore' }, _id: -1 }
+  };
+};
+
+const QUERY_PARAMS = ['course', 'status', 'enrolledFrom', 'enrolledTo', 'createdFrom', 'createdTo', 'sort'];
+
+// Shape of a search without its values: which field:value filters it used and how
+// many free-text terms. The values themselves are often personal data (a name, an
+// email, an ID number) and must not reach the audit log, which can't be erased.
+const describeSearch = (search) => {
+  const fields = [];
+  let terms = 0;
+  const tokenPattern = /(\w+):(?:"[^"]*"|\S+)|"[^"]*"|\S+/g;
+  let match;
+  while ((match = tokenPattern.exec(String(search))) !== null) {
+    if (match[1]) {
+      if (!fields.includes(match[1])) fields.push(match[1]);
+    } else {
+      terms++;
+    }
+  }
+  return { fields, terms };
+};
+
+// The filter parameters that were used, as plain strings (for the audit log).
+// Only the shape of a search is kept, never what was searched for.
+const describeStudentQuery = (params) => {
+  const used = {};
+  QUERY_PARAMS.forEach((param) => {
+    if (params[param] !== undefined) used[param] = String(params[param]);
+  });
+  if (params.search !== undefined) used.search = describeSearch(params.search);
+  return used;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DATE_SORT_FIELDS,
+  SEARCH_FIELDS,
+  parseSearch,
+  buildStudentQuery,
+  describeStudentQuery
+};
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { recordAudit, verifyAuditChain } = require('../services/auditLog');
+
+// In-memory stand-ins for the two collections
+let entries = [];
+let checkpoint = null;
+
+AuditLog.findOne = () => ({
+  sort: () => ({ select: () => ({ lean: async () => entries[entries.length - 1] || null }) })
+});
+AuditLog.create = async (entry) => {
+  entries.push({ ...entry });
+  return entry;
+};
+AuditLog.find = () => ({
+  sort: () => ({ lean: () => ({ cursor: () => entries.map((entry) => ({ ...entry })) }) })
+});
+
+AuditCheckpoint.findById = () => ({ lean: async () => checkpoint && { ...checkpoint } });
+AuditCheckpoint.updateOne = async (filter, update) => {
+  if (checkpoint && checkpoint.seq > filter.seq.$lte) {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  }
+  checkpoint = { _id: filter._id, ...update.$set };
+};
+
+const appendEntries = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await recordAudit({ action: 'student.view', targetIds: [`student-${i}`], details: { page: i } });
+  }
+};
+
+describe('verifyAuditChain', () => {
+  beforeEach(() => {
+    entries = [];
+    checkpoint = null;
+  });
+
+  it('accepts an untouched chain and reports its head', async () => {
+    await appendEntries(3);
+    const result = await verifyAuditChain();
+
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 3);
+    assert.deepEqual(result.head, { seq: 3, hash: entries[2].hash });
+    assert.equal(checkpoint.seq, 3);
+  });
+
+  it('accepts an empty log', async () => {
+    assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 0, head: null });
+  });
+
+  it('detects an edited entry', async () => {
+    await appendEntries(3);
+    entries[1].details = { page: 99 };
+
+    const result = await verifyAuditChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 2);
+    assert.equal(result.problem, 'Entry contents do not match its hash');
+  });
+
+  it('detects an entry deleted from the middle', async () => {
+    await appendEntries(3);
+    entries.splice(1, 1);
+
+    const result = await verifyAuditChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.problem, 'Entry 2 is missing');
+  });
+
+  it('detects entries deleted from the end using the checkpoint', async () => {
+    await appendEntries(4);
+    entries.splice(2);
+
+    const result = await verifyAuditChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 3);
+    assert.equal(result.problem, 'Entries 3 to 4 are missing from the end of the log');
+  });
+
+  it('detects a rewritten chain that no longer matches an anchor', async () => {
+    await appendEntries(2);
+    const anchor = { seq: 2, hash: 'f'.repeat(64) };
+
+    const result = await verifyAuditChain({ anchor });
+    assert.equal(result.valid, false);
+    assert.equal(result.problem, 'Entry does not match the recorded checkpoint');
+  });
+
+  it('refuses a checkpoint that was altered to match a shortened log', async () => {
+    await appendEntries(3);
+    entries.splice(2);
+    checkpoint = { ...checkpoint, seq: 2, hash: entries[1].hash };
+
+    const result = await verifyAuditChain();
+    assert.equal(result.valid, false);
+    assert.match(result.problem, /checkpoint has been altered/);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCell, toCsvLine, parseCsv } = require('../utils/csv');
+
+describe('toCell', () => {
+  it('turns missing values into empty cells', () => {
+    assert.equal(toCell(undefined), '');
+    assert.equal(toCell(null), '');
+    assert.equal(toCell(0), '0');
+  });
+
+  it('stops spreadsheet apps running formulas', () => {
+    assert.equal(toCell('=SUM(A1:A9)'), '\'=SUM(A1:A9)');
+    assert.equal(toCell('@cmd'), '\'@cmd');
+    assert.equal(toCell('+HYPERLINK("x")'), '\'+HYPERLINK("x")');
+    assert.equal(toCell('\tindent'), '\'\tindent');
+  });
+
+  it('leaves phone numbers alone', () => {
+    assert.equal(toCell('+254 712 345 678'), '+254 712 345 678');
+    assert.equal(toCell('-(0712) 345-678'), '-(0712) 345-678');
+  });
+});
+
+describe('toCsvLine', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(toCsvLine(['a', 'b,c', 'say "hi"', 'two\nlines']), 'a,"b,c","say ""hi""","two\nlines"\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const values = ['Jane', 'O"Brien, Jr', '=1+1', '', 'line\r\nbreak'];
+    const [record] = parseCsv(toCsvLine(values));
+    assert.deepEqual(record.values, ['Jane', 'O"Brien, Jr', '\'=1+1', '', 'line\r\nbreak']);
+  });
+});
+
+describe('parseCsv', () => {
+  it('splits records on LF and CRLF and skips blank lines', () => {
+    const records = parseCsv('a,b\r\n\r\nc,d\n\ne,f');
+    assert.deepEqual(records, [
+      { line: 1, values: ['a', 'b'] },
+      { line: 3, values: ['c', 'd'] },
+      { line: 5, values: ['e', 'f'] }
+    ]);
+  });
+
+  it('keeps quoted commas, quotes and line breaks, counting lines from where a record starts', () => {
+    const records = parseCsv('name,note\n"Doe, Jane","said ""yes""\nthen left"\nnext,row\n');
+    assert.deepEqual(records, [
+      { line: 1, values: ['name', 'note'] },
+      { line: 2, values: ['Doe, Jane', 'said "yes"\nthen left'] },
+      { line: 4, values: ['next', 'row'] }
+    ]);
+  });
+
+  it('ignores a byte order mark', () => {
+    assert.deepEqual(parseCsv('\ufeffemail\nx@example.com')[0].values, ['email']);
+  });
+
+  it('keeps empty trailing fields', () => {
+    assert.deepEqual(parseCsv('a,,\n')[0].values, ['a', '', '']);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a\n"b,c\nd'), /Unterminated quoted field starting on line 2/);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DUPLICATE_SCORE_THRESHOLD, scoreMatch } = require('../services/duplicates');
+
+const jane = {
+  firstName: 'Jane',
+  lastName: 'Wanjiku',
+  phone: '+254 712 345 678',
+  dateOfBirth: new Date('2001-04-18'),
+  address: '12 Moi Avenue, Apartment 4'
+};
+
+describe('scoreMatch', () => {
+  it('scores the same person applying twice at 100', () => {
+    const { score, reasons } = scoreMatch(jane, { ...jane });
+    assert.equal(score, 100);
+    assert.deepEqual(reasons, ['Same phone number', 'Same date of birth', 'Same name', 'Same address']);
+  });
+
+  it('sees through formatting differences', () => {
+    const other = {
+      firstName: 'JANE',
+      lastName: 'Wanjikú',
+      phone: '0712-345-678',
+      dateOfBirth: '2001-04-18T09:30:00.000Z',
+      address: '12 Moi Ave, Apt 4'
+    };
+    assert.equal(scoreMatch(jane, other).score, 100);
+  });
+
+  it('matches names given the other way round', () => {
+    const { reasons } = scoreMatch(jane, { firstName: 'Wanjiku', lastName: 'Jane' });
+    assert.deepEqual(reasons, ['Same name']);
+  });
+
+  it('gives partial credit for similar names', () => {
+    const { score, reasons } = scoreMatch(jane, { ...jane, firstName: 'Jayne' });
+    assert.ok(score >= DUPLICATE_SCORE_THRESHOLD && score < 100);
+    assert.match(reasons[2], /^Similar name \(\d+%\)$/);
+  });
+
+  it('does not flag different people who share a phone number', () => {
+    const sibling = {
+      firstName: 'Peter',
+      lastName: 'Otieno',
+      phone: jane.phone,
+      dateOfBirth: new Date('1998-11-02'),
+      address: 'PO Box 100, Kisumu'
+    };
+    const { score, reasons } = scoreMatch(jane, sibling);
+    assert.equal(score, 35);
+    assert.deepEqual(reasons, ['Same phone number']);
+    assert.ok(score < DUPLICATE_SCORE_THRESHOLD);
+  });
+
+  it('scores nothing when nothing matches or details are missing', () => {
+    assert.deepEqual(scoreMatch(jane, { firstName: 'Peter', lastName: 'Otieno' }), { score: 0, reasons: [] });
+    assert.deepEqual(scoreMatch({ firstName: 'Jane', lastName: 'Doe' }, { firstName: 'Peter', lastName: 'Otieno' }), { score: 0, reasons: [] });
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { FIELD_KEYS } = require('./setup');
+const {
+  checkEncryptionConfig,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  needsRotation,
+  blindIndex
+} = require('../utils/fieldEncryption');
+
+// A value encrypted before key 2 was introduced
+const encryptWithPreviousKey = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(FIELD_KEYS.previous, 'base64'), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['enc', '1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+describe('field encryption', () => {
+  it('accepts the configured keys', () => {
+    assert.doesNotThrow(checkEncryptionConfig);
+  });
+
+  it('encrypts with the current key and decrypts back', () => {
+    const encrypted = encryptValue('12345678');
+    assert.ok(isEncrypted(encrypted));
+    assert.equal(encrypted.split(':')[1], '2');
+    assert.ok(!encrypted.includes('12345678'));
+    assert.equal(decryptValue(encrypted), '12345678');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    assert.notEqual(encryptValue('same'), encryptValue('same'));
+  });
+
+  it('passes plaintext through decryptValue unchanged', () => {
+    assert.equal(isEncrypted('12345678'), false);
+    assert.equal(decryptValue('12345678'), '12345678');
+    assert.equal(decryptValue(null), null);
+  });
+
+  it('decrypts values written under an older key and flags them for rotation', () => {
+    const old = encryptWithPreviousKey('old secret');
+    assert.equal(decryptValue(old), 'old secret');
+    assert.equal(needsRotation(old), true);
+    assert.equal(needsRotation(encryptValue('new secret')), false);
+    assert.equal(needsRotation('plaintext'), false);
+  });
+
+  it('refuses values that were tampered with', () => {
+    const parts = encryptValue('12345678').split(':');
+    const ciphertext = Buffer.from(parts[4], 'base64');
+    ciphertext[0] ^= 1;
+    parts[4] = ciphertext.toString('base64');
+    assert.throws(() => decryptValue(parts.join(':')));
+  });
+
+  it('reports a key that is not configured', () => {
+    const parts = encryptValue('x').split(':');
+    parts[1] = '9';
+    assert.throws(() => decryptValue(parts.join(':')), /No field encryption key with id "9"/);
+  });
+});
+
+describe('blindIndex', () => {
+  it('is stable for a value and differs between fields', () => {
+    assert.equal(blindIndex('idnumber', '12345678'), blindIndex('idnumber', '12345678'));
+    assert.notEqual(blindIndex('idnumber', '12345678'), blindIndex('phone', '12345678'));
+    assert.notEqual(blindIndex('idnumber', '12345678'), blindIndex('idnumber', '12345679'));
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  paginate
+} = require('../services/pagination');
+
+const rejects = (code) => (error) => error.status === 400 && error.code === code;
+
+// Stands in for a Mongoose model: records the query and returns the given documents
+const fakeModel = (documents, total = documents.length) => {
+  const calls = {};
+  const query = {
+    sort: (sort) => { calls.sort = sort; return query; },
+    skip: (skip) => { calls.skip = skip; return query; },
+    select: (select) => { calls.select = select; return query; },
+    limit: async (limit) => { calls.limit = limit; return documents.slice(0, limit); }
+  };
+  return {
+    calls,
+    find: (filter) => { calls.filter = filter; return query; },
+    countDocuments: async () => total
+  };
+};
+
+const ids = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+const students = ids.map((_id, i) => ({ _id, lastName: `Name ${i}` }));
+
+describe('parsePageSize', () => {
+  it('defaults and caps the page size', () => {
+    assert.equal(parsePageSize(undefined), DEFAULT_PAGE_SIZE);
+    assert.equal(parsePageSize('5'), 5);
+    assert.equal(parsePageSize('5000'), MAX_PAGE_SIZE);
+  });
+
+  it('rejects sizes that are not positive numbers', () => {
+    assert.throws(() => parsePageSize('0'), rejects('INVALID_LIMIT'));
+    assert.throws(() => parsePageSize('-3'), rejects('INVALID_LIMIT'));
+    assert.throws(() => parsePageSize('ten'), rejects('INVALID_LIMIT'));
+  });
+});
+
+describe('cursors', () => {
+  it('decode to what was encoded', () => {
+    const position = { s: '-createdAt', v: '2026-01-01T00:00:00.000Z', id: ids[0].toString() };
+    assert.deepEqual(decodeCursor(encodeCursor(position), '-createdAt'), position);
+  });
+
+  it('are refused for a different sort order', () => {
+    const cursor = encodeCursor({ s: '-createdAt', v: null, id: ids[0].toString() });
+    assert.throws(() => decodeCursor(cursor, 'lastName'), rejects('INVALID_CURSOR'));
+  });
+
+  it('are refused when they are not ours', () => {
+    assert.throws(() => decodeCursor('not-a-cursor', '-createdAt'), rejects('INVALID_CURSOR'));
+    assert.throws(() => decodeCursor(encodeCursor('text'), '-createdAt'), rejects('INVALID_CURSOR'));
+  });
+});
+
+describe('paginate', () => {
+  it('returns a page and a cursor for the next one', async () => {
+    const Model = fakeModel(students);
+    const { documents, pagination } = await paginate(Model, { filter: {}, sortField: 'lastName', sortDirection: 1, limit: 2 });
+
+    assert.deepEqual(documents, students.slice(0, 2));
+    assert.equal(Model.calls.limit, 3);
+    assert.deepEqual(Model.calls.sort, { lastName: 1, _id: 1 });
+    assert.equal(pagination.hasMore, true);
+    assert.deepEqual(decodeCursor(pagination.nextCursor, 'lastName'), { s: 'lastName', v: 'Name 1', id: ids[1].toString() });
+  });
+
+  it('continues after the last document of the previous page', async () => {
+    const Model = fakeModel(students.slice(2));
+    const cursor = encodeCursor({ s: 'lastName', v: 'Name 1', id: ids[1].toString() });
+    await paginate(Model, { filter: { status: 'pending' }, sortField: 'lastName', sortDirection: 1, cursor, limit: 2 });
+
+    assert.deepEqual(Model.calls.filter, {
+      $and: [
+        { status: 'pending' },
+        { $or: [{ lastName: { $gt: 'Name 1' } }, { lastName: 'Name 1', _id: { $gt: ids[1] } }] }
+      ]
+    });
+  });
+
+  it('has no next cursor on the last page, and counts only when asked', async () => {
+    const Model = fakeModel(students.slice(0, 2), 42);
+    const { pagination } = await paginate(Model, { filter: {}, sortField: 'lastName', limit: 2, includeTotal: true });
+
+    assert.equal(pagination.hasMore, false);
+    assert.equal(pagination.nextCursor, null);
+    assert.equal(pagination.total, 42);
+    assert.equal(pagination.sort, '-lastName');
+  });
+
+  it('pages relevance-ranked results by offset', async () => {
+    const Model = fakeModel(students);
+    const first = await paginate(Model, { filter: { $text: { $search: 'jane' } }, limit: 2 });
+    assert.deepEqual(decodeCursor(first.pagination.nextCursor, 'relevance'), { s: 'relevance', o: 2 });
+
+    await paginate(Model, { filter: { $text: { $search: 'jane' } }, cursor: first.pagination.nextCursor, limit: 2 });
+    assert.equal(Model.calls.skip, 2);
+  });
+
+  it('rejects a cursor pointing at an invalid id', async () => {
+    const cursor = encodeCursor({ s: 'lastName', v: 'x', id: 'nope' });
+    await assert.rejects(paginate(fakeModel([]), { filter: {}, sortField: 'lastName', cursor, limit: 2 }), rejects('INVALID_CURSOR'));
+  });
+});
@@ -0,0 +1,83 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// ...but phone numbers like "+254 712 345 678" are harmless
+const PHONE_LIKE = /^\+?[\d\s()-]+$/;
+
+// Cell text that is safe to open in Excel / Sheets
+const toCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return FORMULA_PREFIX.test(text) && !PHONE_LIKE.test(text) ? `'${text}` : text;
+};
+
+const toCsvLine = (values) => {
+  return values.map((value) => {
+    const text = toCell(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+// Parse CSV text (RFC 4180 quoting) into records: { line, values }
+// `line` is where the record starts in the file, for error reports
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    // Skip blank lines
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = {
+  toCell,
+  toCsvLine,
+  parseCsv
+};
@@ -0,0 +1,23 @@
+const httpError = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a date from the query string. A plain date ("2025-01-31") used as the end
+// of a range includes the whole of that day.
+const parseDateParam = (value, name, { endOfDay = false } = {}) => {
+  const text = String(value);
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a valid date (e.g. 2025-01-31)`, 'INVALID_DATE');
+  }
+  if (endOfDay && DATE_ONLY.test(text)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+};
+
+module.exports = {
+  DAY_MS,
+  parseDateParam
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Encrypted values look like "enc:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts)
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// FIELD_ENCRYPTION_KEYS="2:<base64 key>,1:<base64 key>" — the first key encrypts new
+// values, the others are only kept to decrypt values written before a rotation.
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+let keyring = null;
+
+const loadKeys = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  config.encryption.fieldKeys.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\w+$/.test(id || '') || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must be "<id>:<32-byte key in base64>"');
+    }
+    keys.set(id, key);
+  });
+
+  keyring = { currentKeyId: keys.keys().next().value, keys };
+  return keyring;
+};
+
+const getBlindIndexKey = () => config.encryption.blindIndexKey;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+const encryptValue = (plaintext) => {
+  const { currentKeyId, keys } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [PREFIX, currentKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, tag, ciphertext] = value.split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`No field encryption key with id "${keyId}" is configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether a value was encrypted with an older key and should be re-encrypted
+const needsRotation = (value) => isEncrypted(value) && value.split(':')[1] !== loadKeys().currentKeyId;
+
+// Keyed hash for exact-match lookups on an encrypted field. The field name is
+// mixed in so equal values in different fields don't share an index entry.
+const blindIndex = (field, normalizedValue) => {
+  return crypto.createHmac('sha256', getBlindIndexKey())
+    .update(`${field}:${normalizedValue}`)
+    .digest('hex');
+};
+
+// Fail at boot rather than on the first application if the keys are missing or malformed
+const checkEncryptionConfig = () => {
+  loadKeys();
+  getBlindIndexKey();
+};
+
+module.exports = {
+  checkEncryptionConfig,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  needsRotation,
+  blindIndex
+};
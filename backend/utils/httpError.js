@@ -0,0 +1,10 @@
+// Create an Error carrying an HTTP status and machine-readable code,
+// picked up by route handlers and the error handling middleware
+const httpError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+module.exports = httpError;
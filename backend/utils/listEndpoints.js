@@ -0,0 +1,29 @@
+// Path a router layer was mounted at, rebuilt from the regexp Express compiled it to
+const mountPath = (layer) => {
+  let key = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[key++].name}`)
+    .replace(/\\(.)/g, '$1');
+};
+
+// Every "METHOD /path" a router serves, including its mounted sub-routers
+const listEndpoints = (router, prefix = '') => {
+  const endpoints = [];
+
+  router.stack.forEach((layer) => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}` || '/';
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .forEach((method) => endpoints.push(`${method.toUpperCase()} ${path}`));
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      endpoints.push(...listEndpoints(layer.handle, `${prefix}${mountPath(layer)}`));
+    }
+  });
+
+  return [...new Set(endpoints)];
+};
+
+module.exports = { listEndpoints };
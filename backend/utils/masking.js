@@ -0,0 +1,28 @@
+// Applicant fields hidden from staff whose role can't see sensitive data
+const SENSITIVE_FIELDS = ['idnumber', 'dateOfBirth', 'address', 'emergencyPhone'];
+
+// Fields where the last few characters are still useful for matching records
+const PARTIAL_MASK_FIELDS = ['idnumber', 'emergencyPhone'];
+
+// "12345678" -> "****5678"
+const maskValue = (value, visible = 4) => {
+  const text = String(value);
+  if (text.length <= visible) return '****';
+  return `****${text.slice(-visible)}`;
+};
+
+// Copy of a (lean) student record with the sensitive fields masked
+const maskStudentFields = (student) => {
+  const masked = { ...student };
+  SENSITIVE_FIELDS.forEach((field) => {
+    if (masked[field] === undefined || masked[field] === null || masked[field] === '') return;
+    masked[field] = PARTIAL_MASK_FIELDS.includes(field) ? maskValue(masked[field]) : '****';
+  });
+  return masked;
+};
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  maskValue,
+  maskStudentFields
+};
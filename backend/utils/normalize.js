@@ -0,0 +1,48 @@
+// Canonical forms used to compare applicants who typed their details differently
+
+// "+254 712 345 678", "0712-345-678" and "712345678" all become "712345678"
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : digits;
+};
+
+// Lowercase, accents removed, only letters and single spaces
+const normalizeName = (name) => {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  apartment: 'apt',
+  building: 'bldg',
+  house: 'hse',
+  floor: 'fl',
+  number: 'no',
+  'p o box': 'po box'
+};
+
+const normalizeAddress = (address) => {
+  let text = String(address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  Object.entries(ADDRESS_ABBREVIATIONS).forEach(([word, abbreviation]) => {
+    text = text.replace(new RegExp(`\\b${word}\\b`, 'g'), abbreviation);
+  });
+  return text;
+};
+
+module.exports = {
+  normalizePhone,
+  normalizeName,
+  normalizeAddress
+};
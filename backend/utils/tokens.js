@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+
+const getSecret = () => config.auth.jwtSecret;
+
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, type: 'access' },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens carry a random ID so individual sessions can be revoked
+const signRefreshToken = (user) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const token = jwt.sign(
+    { sub: user._id.toString(), jti: tokenId, type: 'refresh' },
+    getSecret(),
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+  return { token, tokenId, expiresAt };
+};
+
+const verifyToken = (token, expectedType) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+};
+
+// Tokens embedded in admin notification emails (approve/reject/view links)
+const signActionToken = ({ studentId, action, tokenId, expiresAt }) => {
+  return jwt.sign(
+    { sub: studentId.toString(), act: action, jti: tokenId, type: 'email-action' },
+    getSecret(),
+    { expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+  );
+};
+
+// Short-lived session for an applicant who verified their email with a one-time code
+const APPLICANT_TOKEN_TTL = config.auth.applicantTokenTtl;
+
+const signApplicantToken = (student) => {
+  return jwt.sign(
+    { sub: student._id.toString(), type: 'applicant' },
+    getSecret(),
+    { expiresIn: APPLICANT_TOKEN_TTL }
+  );
+};
+
+// Issued with the public enrollment form; its age shows how long the form took to fill in
+const FORM_TOKEN_TTL = config.antiAbuse.formTokenTtl;
+
+const signFormToken = () => {
+  return jwt.sign(
+    { jti: crypto.randomBytes(12).toString('hex'), type: 'enrollment-form' },
+    getSecret(),
+    { expiresIn: FORM_TOKEN_TTL }
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken: (token) => verifyToken(token, 'access'),
+  verifyRefreshToken: (token) => verifyToken(token, 'refresh'),
+  signActionToken,
+  verifyActionToken: (token) => verifyToken(token, 'email-action'),
+  APPLICANT_TOKEN_TTL,
+  signApplicantToken,
+  verifyApplicantToken: (token) => verifyToken(token, 'applicant'),
+  FORM_TOKEN_TTL,
+  signFormToken,
+  verifyFormToken: (token) => verifyToken(token, 'enrollment-form')
+};
@@ -0,0 +1,22 @@
+const sanitizeInput = (input) => {
+  if (typeof input === 'string') {
+    return input.trim().replace(/[<>\"']/g, '');
+  }
+  return input;
+};
+
+// Mongoose ValidationError/CastError as the API's field-keyed errors: [{ field, message }]
+const fieldErrors = (error) => {
+  if (error.name === 'CastError') {
+    return [{ field: error.path, message: `Invalid value for ${error.path}` }];
+  }
+  return Object.values(error.errors).map((err) => ({
+    field: err.path,
+    message: err.name === 'CastError' ? `Invalid value for ${err.path}` : err.message
+  }));
+};
+
+module.exports = {
+  sanitizeInput,
+  fieldErrors
+};